@@ -0,0 +1,78 @@
+import crypto from 'crypto';
+import { ApiKey, ApiKeyActivity } from './models.js';
+
+// read: GET routes; schedule: POST /schedule and /campaigns; manage: everything, including read and schedule
+export const API_KEY_SCOPES = ['read', 'schedule', 'manage'];
+
+// Keys look like esk_<random>; the prefix tells them apart from JWTs in the Authorization header
+export const API_KEY_PREFIX = 'esk_';
+
+export const isApiKey = (token) => typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+// Validate requested scopes. Returns { scopes } or { error }.
+export const parseScopes = (input) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: `scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}` };
+  }
+
+  const invalid = input.filter((scope) => !API_KEY_SCOPES.includes(scope));
+  if (invalid.length > 0) {
+    return { error: `Invalid scope(s): ${invalid.join(', ')}. Allowed: ${API_KEY_SCOPES.join(', ')}` };
+  }
+
+  return { scopes: [...new Set(input)] };
+};
+
+export const hasScope = (scopes, required) => scopes.includes('manage') || scopes.includes(required);
+
+// Create a key; the plaintext is returned here and never again
+export const createApiKey = async (userId, { name, scopes }) => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const apiKey = await ApiKey.create({
+    userId,
+    name,
+    scopes,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+    keyHash: hashApiKey(key)
+  });
+
+  return { apiKey, key };
+};
+
+// The active key matching a plaintext key, or null
+export const findActiveApiKey = async (key) => {
+  const apiKey = await ApiKey.findOne({ where: { keyHash: hashApiKey(key) } });
+  return apiKey && !apiKey.revokedAt ? apiKey : null;
+};
+
+// Log which key made a create/change/delete request, once it has been answered. Rows created
+// with a key also carry its apiKeyId; this covers edits, deletions and cancellations as well.
+export const recordApiKeyActivity = (req, res) => {
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    return;
+  }
+
+  res.on('finish', () => {
+    ApiKeyActivity.create({
+      apiKeyId: req.user.apiKeyId,
+      userId: req.user.userId,
+      method: req.method,
+      path: req.originalUrl.split('?')[0].slice(0, 1024),
+      statusCode: res.statusCode
+    }).catch((error) => {
+      console.error('Error recording API key activity:', error.message);
+    });
+  });
+};
+
+export const serializeApiKey = (apiKey) => ({
+  id: apiKey.id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  lastUsedAt: apiKey.lastUsedAt,
+  revokedAt: apiKey.revokedAt,
+  createdAt: apiKey.createdAt
+});
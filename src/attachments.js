@@ -0,0 +1,96 @@
+import fs from 'fs';
+import path from 'path';
+import multer from 'multer';
+import { v4 as uuidv4 } from 'uuid';
+import { Attachment } from './models.js';
+
+// Files are stored on disk; the worker must see the same directory
+export const ATTACHMENTS_DIR = path.resolve(process.env.ATTACHMENTS_DIR || 'uploads/attachments');
+export const MAX_ATTACHMENT_SIZE = parseInt(process.env.MAX_ATTACHMENT_SIZE) || 10 * 1024 * 1024;
+export const MAX_ATTACHMENTS_PER_EMAIL = parseInt(process.env.MAX_ATTACHMENTS_PER_EMAIL) || 10;
+export const MAX_TOTAL_ATTACHMENT_SIZE = parseInt(process.env.MAX_TOTAL_ATTACHMENT_SIZE) || 20 * 1024 * 1024;
+
+export const ALLOWED_ATTACHMENT_TYPES = process.env.ALLOWED_ATTACHMENT_TYPES
+  ? process.env.ALLOWED_ATTACHMENT_TYPES.split(',').map((type) => type.trim())
+  : [
+      'application/pdf',
+      'image/png',
+      'image/jpeg',
+      'image/gif',
+      'text/plain',
+      'text/csv',
+      'text/calendar',
+      'application/zip',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    ];
+
+fs.mkdirSync(ATTACHMENTS_DIR, { recursive: true });
+
+export const attachmentUpload = multer({
+  storage: multer.diskStorage({
+    destination: ATTACHMENTS_DIR,
+    // Never trust the client's file name on disk
+    filename: (req, file, cb) => cb(null, uuidv4())
+  }),
+  limits: { fileSize: MAX_ATTACHMENT_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_ATTACHMENT_TYPES.includes(file.mimetype)) {
+      return cb(new Error(`File type ${file.mimetype} is not allowed`));
+    }
+    cb(null, true);
+  }
+});
+
+// Load the sender's attachments for a list of IDs, enforcing per-email limits.
+// Returns { attachments } or { error }.
+export const resolveAttachmentIds = async (attachmentIds, senderId) => {
+  if (attachmentIds === undefined || attachmentIds === null) {
+    return { attachments: [] };
+  }
+
+  if (!Array.isArray(attachmentIds)) {
+    return { error: 'attachmentIds must be an array' };
+  }
+
+  const ids = [...new Set(attachmentIds)];
+
+  if (ids.length > MAX_ATTACHMENTS_PER_EMAIL) {
+    return { error: `An email can have at most ${MAX_ATTACHMENTS_PER_EMAIL} attachments` };
+  }
+
+  const attachments = ids.length === 0 ? [] : await Attachment.findAll({
+    where: { id: ids, senderId }
+  });
+
+  if (attachments.length !== ids.length) {
+    const found = new Set(attachments.map((attachment) => attachment.id));
+    return { error: `Attachment(s) not found: ${ids.filter((id) => !found.has(id)).join(', ')}` };
+  }
+
+  const totalSize = attachments.reduce((sum, attachment) => sum + attachment.size, 0);
+  if (totalSize > MAX_TOTAL_ATTACHMENT_SIZE) {
+    return { error: `Attachments exceed the ${MAX_TOTAL_ATTACHMENT_SIZE} byte limit per email` };
+  }
+
+  return { attachments };
+};
+
+// Public metadata for an attachment (never expose the storage path)
+export const serializeAttachment = (attachment) => ({
+  id: attachment.id,
+  filename: attachment.filename,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  createdAt: attachment.createdAt
+});
+
+export const removeStoredFile = async (attachment) => {
+  try {
+    await fs.promises.unlink(attachment.storagePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
@@ -0,0 +1,283 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { sequelize, User, RefreshToken } from './models.js';
+import { isApiKey, findActiveApiKey, hasScope, recordApiKeyActivity } from './apiKeys.js';
+
+// Access tokens are short-lived JWTs; sessions live on as rotating refresh tokens stored hashed
+// in refresh_tokens. Every token rotated from one login shares a family, whose id is the
+// access token's `sid` claim, so revoking the family ends the session everywhere.
+if (!process.env.JWT_SECRET) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  console.warn('⚠️  JWT_SECRET is not set, tokens are signed with the default development secret');
+}
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
+
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+export const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const signAccessToken = (user, sessionId) => {
+  const accessToken = jwt.sign(
+    { userId: user.id, email: user.email, name: user.name, avatar: user.avatar, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+  const { iat, exp } = jwt.decode(accessToken);
+  return { accessToken, expiresIn: exp - iat };
+};
+
+const issueRefreshToken = async (userId, familyId, { userAgent, transaction } = {}) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const record = await RefreshToken.create({
+    userId,
+    familyId,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: userAgent ? String(userAgent).slice(0, 512) : null
+  }, { transaction });
+
+  return { token, record };
+};
+
+const buildSession = (user, { token, record }) => ({
+  ...signAccessToken(user, record.familyId),
+  refreshToken: token,
+  refreshTokenExpiresAt: record.expiresAt
+});
+
+// Start a session for a freshly authenticated user
+export const createSession = async (user, { userAgent } = {}) => {
+  const issued = await issueRefreshToken(user.id, crypto.randomUUID(), { userAgent });
+  return buildSession(user, issued);
+};
+
+export const revokeSession = async (familyId, reason = 'LOGOUT') => {
+  const [revoked] = await RefreshToken.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { familyId, revokedAt: null } }
+  );
+  return revoked;
+};
+
+// Revoke every session of a user. Returns the number of sessions that were still live.
+export const revokeAllSessions = async (userId) => {
+  const live = await RefreshToken.count({
+    where: { userId, revokedAt: null },
+    distinct: true,
+    col: 'familyId'
+  });
+
+  await RefreshToken.update(
+    { revokedAt: new Date(), revokedReason: 'LOGOUT_ALL' },
+    { where: { userId, revokedAt: null } }
+  );
+
+  return live;
+};
+
+// Exchange a refresh token for a new access/refresh pair. A token that was already exchanged
+// means it leaked: the whole family is revoked. Returns { session } or { error }.
+export const rotateRefreshToken = async (token, { userAgent } = {}) => {
+  const record = await RefreshToken.findOne({ where: { tokenHash: hashToken(token) } });
+
+  if (!record) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  if (record.revokedAt) {
+    return { error: 'Session has been revoked' };
+  }
+
+  const reuseDetected = async () => {
+    await revokeSession(record.familyId, 'REUSE_DETECTED');
+    console.warn(`⚠️  Refresh token reuse detected for user ${record.userId}, session ${record.familyId} revoked`);
+    return { error: 'Refresh token was already used; the session has been revoked' };
+  };
+
+  if (record.usedAt) {
+    return reuseDetected();
+  }
+
+  if (record.expiresAt.getTime() <= Date.now()) {
+    return { error: 'Refresh token has expired' };
+  }
+
+  const user = await User.findByPk(record.userId);
+  if (!user) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  // Claiming the old token is a conditional update, so two concurrent refreshes can't both win
+  const issued = await sequelize.transaction(async (transaction) => {
+    const [claimed] = await RefreshToken.update(
+      { usedAt: new Date() },
+      { where: { id: record.id, usedAt: null, revokedAt: null }, transaction }
+    );
+    if (claimed === 0) {
+      return null;
+    }
+
+    const issued = await issueRefreshToken(user.id, record.familyId, { userAgent, transaction });
+    await RefreshToken.update({ replacedById: issued.record.id }, { where: { id: record.id }, transaction });
+    return issued;
+  });
+
+  if (!issued) {
+    return reuseDetected();
+  }
+
+  return { session: buildSession(user, issued) };
+};
+
+// The family a refresh token belongs to, or null if the token is unknown
+export const findSessionId = async (token) => {
+  const record = await RefreshToken.findOne({
+    where: { tokenHash: hashToken(token) },
+    attributes: ['familyId']
+  });
+  return record ? record.familyId : null;
+};
+
+const isSessionActive = async (sessionId) => {
+  if (!sessionId) {
+    return false;
+  }
+  const live = await RefreshToken.findOne({
+    where: { familyId: sessionId, revokedAt: null },
+    attributes: ['id']
+  });
+  return Boolean(live);
+};
+
+// Claims of a valid access token whose session is still live, or null
+export const verifyAccessToken = async (token) => {
+  let claims;
+  try {
+    claims = jwt.verify(token, JWT_SECRET);
+  } catch {
+    return null;
+  }
+
+  return (await isSessionActive(claims.sid)) ? claims : null;
+};
+
+// Scope an API key needs when the route doesn't name one
+const defaultScope = (req) => (req.method === 'GET' || req.method === 'HEAD' ? 'read' : 'manage');
+
+// Authenticate an API key from `Authorization: Bearer esk_...` or `X-API-Key`.
+// Returns the request user, or { status, error }.
+const authenticateApiKey = async (req, key, scope) => {
+  const apiKey = await findActiveApiKey(key);
+  if (!apiKey) {
+    return { status: 401, error: 'Invalid or revoked API key' };
+  }
+
+  if (!hasScope(apiKey.scopes, scope)) {
+    return { status: 403, error: `API key is missing the ${scope} scope` };
+  }
+
+  const user = await User.findByPk(apiKey.userId);
+  if (!user) {
+    return { status: 401, error: 'Invalid or revoked API key' };
+  }
+
+  await apiKey.update({ lastUsedAt: new Date() });
+  console.log(`🔑 ${req.method} ${req.path} with API key ${apiKey.prefix}… (${apiKey.id})`);
+
+  return {
+    user: {
+      userId: user.id,
+      email: user.email,
+      name: user.name,
+      avatar: user.avatar,
+      apiKeyId: apiKey.id,
+      scopes: apiKey.scopes
+    }
+  };
+};
+
+const authenticate = async (req, res, next, scope) => {
+  const authHeader = req.headers['authorization'];
+  const token = req.headers['x-api-key'] || (authHeader && authHeader.split(' ')[1]);
+
+  if (!token) {
+    return res.status(401).json({ error: 'Access token required' });
+  }
+
+  if (isApiKey(token)) {
+    let result;
+    try {
+      result = await authenticateApiKey(req, token, scope);
+    } catch (error) {
+      console.error('Error checking API key:', error);
+      return res.status(500).json({ error: 'Failed to verify API key' });
+    }
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    req.user = result.user;
+    recordApiKeyActivity(req, res);
+    return next();
+  }
+
+  let user;
+  try {
+    user = jwt.verify(token, JWT_SECRET);
+  } catch {
+    return res.status(403).json({ error: 'Invalid or expired token' });
+  }
+
+  try {
+    if (!(await isSessionActive(user.sid))) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
+  } catch (error) {
+    console.error('Error checking session:', error);
+    return res.status(500).json({ error: 'Failed to verify session' });
+  }
+
+  req.user = user;
+  next();
+};
+
+// Middleware to verify JWT token or API key. API keys need `read` for GET requests
+// and `manage` for anything else.
+export function authenticateToken(req, res, next) {
+  return authenticate(req, res, next, defaultScope(req));
+}
+
+// Same, for routes an API key may call with a narrower scope (e.g. `schedule`)
+export const authenticateScope = (scope) => (req, res, next) => authenticate(req, res, next, scope);
+
+// For routes that only a signed-in user may call, never an API key (key management, sessions)
+export function requireUserSession(req, res, next) {
+  if (req.user.apiKeyId) {
+    return res.status(403).json({ error: 'This route cannot be called with an API key' });
+  }
+  next();
+}
+
+// For the /admin routes: the caller must be signed in (not an API key) as an ADMIN user
+export async function requireAdmin(req, res, next) {
+  if (req.user.apiKeyId) {
+    return res.status(403).json({ error: 'This route cannot be called with an API key' });
+  }
+
+  let user;
+  try {
+    user = await User.findByPk(req.user.userId, { attributes: ['id', 'role'] });
+  } catch (error) {
+    console.error('Error checking admin role:', error);
+    return res.status(500).json({ error: 'Failed to verify admin access' });
+  }
+
+  if (!user || user.role !== 'ADMIN') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+}
@@ -0,0 +1,65 @@
+import sanitizeHtml from 'sanitize-html';
+import { convert } from 'html-to-text';
+
+// Tags and attributes that are safe and useful in email bodies
+const SANITIZE_OPTIONS = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat([
+    'img', 'center', 'font', 'span', 'div', 'hr', 'br', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td'
+  ]),
+  allowedAttributes: {
+    '*': ['style', 'align', 'class', 'width', 'height', 'bgcolor', 'dir'],
+    a: ['href', 'name', 'target', 'title'],
+    img: ['src', 'alt', 'title', 'width', 'height', 'border'],
+    font: ['color', 'face', 'size'],
+    table: ['border', 'cellpadding', 'cellspacing', 'role'],
+    td: ['colspan', 'rowspan', 'valign'],
+    th: ['colspan', 'rowspan', 'valign']
+  },
+  allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+  allowedSchemesByTag: {
+    img: ['http', 'https', 'cid', 'data']
+  },
+  allowProtocolRelative: false
+};
+
+export const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Strip scripts, event handlers and unsafe URLs from user supplied HTML
+export const sanitizeEmailHtml = (html) => sanitizeHtml(html, SANITIZE_OPTIONS);
+
+// Plain-text alternative for an HTML body.
+// Headings keep their case so {{placeholders}} inside them still match.
+export const htmlToPlainText = (html) => {
+  return convert(html, {
+    wordwrap: 78,
+    selectors: [
+      { selector: 'img', format: 'skip' },
+      { selector: 'a', options: { hideLinkHrefIfSameAsText: true } },
+      ...['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].map((selector) => ({ selector, options: { uppercase: false } }))
+    ]
+  });
+};
+
+// HTML alternative for a plain-text body: escaped, with paragraphs and line breaks kept
+export const textToHtml = (text) => {
+  return String(text)
+    .split(/\r?\n\s*\r?\n/)
+    .map((paragraph) => `<p>${escapeHtml(paragraph).replace(/\r?\n/g, '<br>')}</p>`)
+    .join('\n');
+};
+
+// Resolve the text/html parts from a request: `body` is accepted as an alias for `text`.
+// HTML is sanitized, and a missing text part is generated from it.
+export const resolveBodyParts = ({ body, text, html }) => {
+  const cleanHtml = html ? sanitizeEmailHtml(html) : null;
+  const plain = text || body || (cleanHtml ? htmlToPlainText(cleanHtml) : null);
+
+  return { text: plain, html: cleanHtml };
+};
@@ -0,0 +1,61 @@
+import crypto from 'crypto';
+
+// Secrets stored in the database (SMTP passwords, webhook secrets) are encrypted with AES-256-GCM
+const ALGORITHM = 'aes-256-gcm';
+
+// The development fallback is public, so production refuses to start without a real key
+if (!process.env.ENCRYPTION_KEY) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('ENCRYPTION_KEY must be set in production');
+  }
+  console.warn('⚠️  ENCRYPTION_KEY is not set, stored credentials use the default development key');
+}
+
+const key = crypto
+  .createHash('sha256')
+  .update(process.env.ENCRYPTION_KEY || 'your-encryption-key-change-this-in-production')
+  .digest();
+
+// Returns "iv:authTag:ciphertext", all base64
+export const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return [iv, authTag, ciphertext].map((part) => part.toString('base64')).join(':');
+};
+
+export const decrypt = (payload) => {
+  const [iv, authTag, ciphertext] = payload.split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+// HMAC signing for links embedded in emails (tracking, unsubscribe). The worker signs them too
+// and never loads auth.js, so the production check on the fallback has to live here as well.
+const CONFIGURED_SIGNING_SECRET = process.env.SIGNING_SECRET
+  || process.env.TRACKING_SECRET
+  || process.env.JWT_SECRET;
+
+if (!CONFIGURED_SIGNING_SECRET) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('SIGNING_SECRET (or JWT_SECRET) must be set in production');
+  }
+  console.warn('⚠️  SIGNING_SECRET is not set, email links are signed with the default development secret');
+}
+
+const SIGNING_SECRET = CONFIGURED_SIGNING_SECRET || 'your-secret-key-change-this-in-production';
+
+export const signValue = (value) => {
+  return crypto.createHmac('sha256', SIGNING_SECRET).update(value).digest('base64url').slice(0, 22);
+};
+
+export const verifySignedValue = (value, signature) => {
+  if (!signature) return false;
+  const expected = Buffer.from(signValue(value));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+import { Op, UniqueConstraintError } from 'sequelize';
+import { IdempotencyKey } from './models.js';
+
+// Idempotency-Key support for POST /schedule. The 201 response is stored with the key in the
+// transaction that creates the email, so a retry gets the same response instead of a duplicate.
+// Two identical requests racing both do the work, but the unique (senderId, key) index makes the
+// second insert wait for the first commit and fail, rolling the second request back.
+export const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+const MAX_KEY_LENGTH = 255;
+const CLEANUP_INTERVAL = 60 * 60 * 1000;
+
+// JSON with object keys sorted, so the same payload always hashes the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+const hashRequest = (req) => {
+  const workspaceId = req.workspace ? req.workspace.id : null;
+  return crypto.createHash('sha256').update(canonicalJson({ workspaceId, body: req.body || {} })).digest('hex');
+};
+
+// The request's Idempotency-Key. Returns { idempotency } (null without the header) or { error }.
+export const readIdempotencyKey = (req) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return { idempotency: null };
+  }
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return { error: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters` };
+  }
+
+  return {
+    idempotency: { senderId: req.user.userId, key, requestHash: hashRequest(req) }
+  };
+};
+
+// The stored response for a key that was used before: { statusCode, body }, { error } when it was
+// used with a different request, or null when the key is new (or expired).
+export const findIdempotentResponse = async (idempotency) => {
+  const record = await IdempotencyKey.findOne({
+    where: { senderId: idempotency.senderId, key: idempotency.key }
+  });
+
+  if (!record) {
+    return null;
+  }
+
+  // An expired key may be used again; its row must go so the new response can be stored
+  if (record.expiresAt.getTime() <= Date.now()) {
+    await record.destroy();
+    return null;
+  }
+
+  if (record.requestHash !== idempotency.requestHash) {
+    return { error: 'Idempotency-Key was already used with a different request' };
+  }
+
+  return { statusCode: record.statusCode, body: record.responseBody };
+};
+
+// Store the response in the transaction that produced it. Throws an IDEMPOTENCY_CONFLICT error
+// when a concurrent request with the key committed first; the transaction must then roll back.
+export const recordIdempotentResponse = async (idempotency, statusCode, body, transaction) => {
+  if (!idempotency) {
+    return;
+  }
+
+  try {
+    await IdempotencyKey.create({
+      ...idempotency,
+      statusCode,
+      responseBody: body,
+      expiresAt: new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000)
+    }, { transaction });
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      const conflict = new Error('A request with this Idempotency-Key completed first');
+      conflict.code = 'IDEMPOTENCY_CONFLICT';
+      throw conflict;
+    }
+    throw error;
+  }
+};
+
+export const isIdempotencyConflict = (error) => error.code === 'IDEMPOTENCY_CONFLICT';
+
+export const pruneIdempotencyKeys = () => {
+  return IdempotencyKey.destroy({ where: { expiresAt: { [Op.lte]: new Date() } } });
+};
+
+export const startIdempotencyKeyCleanup = () => {
+  return setInterval(() => {
+    pruneIdempotencyKeys().catch((error) => {
+      console.error('Error pruning idempotency keys:', error.message);
+    });
+  }, CLEANUP_INTERVAL);
+};
@@ -0,0 +1,53 @@
+import nodemailer from 'nodemailer';
+import { decrypt } from './crypto.js';
+
+// One transporter per sending account, rebuilt when the account changes
+const accountTransporters = new Map();
+
+// Build a nodemailer transporter from a SendingAccount row
+export const createAccountTransporter = (account) => {
+  return nodemailer.createTransport({
+    host: account.host,
+    port: account.port,
+    secure: account.secure,
+    requireTLS: account.requireTls,
+    pool: true,
+    maxConnections: 2,
+    auth: account.username ? {
+      user: account.username,
+      pass: account.encryptedPassword ? decrypt(account.encryptedPassword) : undefined
+    } : undefined
+  });
+};
+
+// Cached transporter for an account; a newer updatedAt replaces the cached one
+export const getAccountTransporter = (account) => {
+  const version = new Date(account.updatedAt).getTime();
+  const cached = accountTransporters.get(account.id);
+
+  if (cached && cached.version === version) {
+    return cached.transporter;
+  }
+
+  if (cached) {
+    cached.transporter.close();
+  }
+
+  const transporter = createAccountTransporter(account);
+  accountTransporters.set(account.id, { version, transporter });
+  return transporter;
+};
+
+export const closeAccountTransporters = () => {
+  for (const { transporter } of accountTransporters.values()) {
+    transporter.close();
+  }
+  accountTransporters.clear();
+};
+
+// "From Name" <address> header for an account
+export const formatFrom = (account) => {
+  return account.fromName
+    ? { name: account.fromName, address: account.fromEmail }
+    : account.fromEmail;
+};
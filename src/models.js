@@ -1,4 +1,5 @@
 import { Sequelize, DataTypes } from 'sequelize';
+import { DEFAULT_TIMEZONE, formatInZone } from './timezones.js';
 
 // Initialize Sequelize connection
 const sequelize = new Sequelize(
@@ -38,7 +39,8 @@ const EmailLog = sequelize.define('EmailLog', {
     allowNull: false,
     validate: {
       isEmail: true
-    }
+    },
+    comment: 'Primary to address; all participants are in email_recipients'
   },
   subject: {
     type: DataTypes.STRING,
@@ -46,18 +48,29 @@ const EmailLog = sequelize.define('EmailLog', {
   },
   body: {
     type: DataTypes.TEXT,
-    allowNull: false
+    allowNull: false,
+    comment: 'Plain-text part'
+  },
+  html: {
+    type: DataTypes.TEXT('medium'),
+    allowNull: true,
+    comment: 'Sanitized HTML part; generated from body when empty'
   },
   senderId: {
     type: DataTypes.STRING,
     allowNull: false
   },
+  workspaceId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Workspace the email is shared in; null for personal email'
+  },
   scheduledAt: {
     type: DataTypes.DATE,
     allowNull: false
   },
   status: {
-    type: DataTypes.ENUM('PENDING', 'SENT', 'FAILED', 'THROTTLED'),
+    type: DataTypes.ENUM('PENDING', 'SENT', 'FAILED', 'THROTTLED', 'CANCELLED', 'SUPPRESSED'),
     defaultValue: 'PENDING',
     allowNull: false
   },
@@ -72,18 +85,1303 @@ const EmailLog = sequelize.define('EmailLog', {
     defaultValue: 10,
     allowNull: false,
     comment: 'Maximum emails per hour for this sender'
+  },
+  campaignId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Parent campaign when the email was created as part of a bulk send'
+  },
+  templateId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  templateVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Template version pinned when the email was scheduled'
+  },
+  variables: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Per-recipient values for template placeholders'
+  },
+  recurringScheduleId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Parent recurring schedule when the email is one occurrence of it'
+  },
+  sendingAccountId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Sending identity chosen at schedule time; null uses the server default'
+  },
+  apiKeyId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'API key that scheduled the email; null when scheduled from a user session'
+  },
+  trackingEnabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false,
+    comment: 'Inject open pixel and rewrite links for click tracking'
+  },
+  attemptCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false,
+    comment: 'Send attempts so far, see delivery_attempts'
+  },
+  deferCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false,
+    comment: 'Times the job was pushed back because a rate limit was reached'
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Error of the most recent failed attempt'
+  },
+  sentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  messageId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Message-ID assigned when the email was sent'
+  },
+  timezone: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'IANA timezone scheduledAt was given in'
+  },
+  recipientTimezone: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'IANA timezone of the recipient; the send window is evaluated in it'
+  },
+  sendWindow: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '{ days: [1-7], start: "HH:mm", end: "HH:mm" } the email may only be sent in'
+  },
+  scheduledAtLocal: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return formatInZone(this.getDataValue('scheduledAt'), this.getDataValue('timezone') || DEFAULT_TIMEZONE);
+    }
   }
 }, {
   tableName: 'email_logs',
+  timestamps: true,
+  indexes: [
+    { fields: ['senderId', 'createdAt'] },
+    { fields: ['senderId', 'scheduledAt'] },
+    { fields: ['senderId', 'updatedAt'] },
+    { fields: ['senderId', 'status'] },
+    { fields: ['workspaceId', 'createdAt'] },
+    { fields: ['workspaceId', 'status'] },
+    { type: 'FULLTEXT', name: 'email_logs_subject_body_fulltext', fields: ['subject', 'body'] }
+  ]
+});
+
+// Define Campaign model (parent record for bulk sends)
+const Campaign = sequelize.define('Campaign', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  subject: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  html: {
+    type: DataTypes.TEXT('medium'),
+    allowNull: true
+  },
+  senderId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  scheduledAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Send time of the first email; the rest are staggered after it'
+  },
+  status: {
+    type: DataTypes.ENUM('SCHEDULED', 'CANCELLED'),
+    defaultValue: 'SCHEDULED',
+    allowNull: false
+  },
+  totalRecipients: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false
+  },
+  delayBetweenEmails: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false,
+    comment: 'Delay in seconds between consecutive emails of the campaign'
+  },
+  hourlyLimit: {
+    type: DataTypes.INTEGER,
+    defaultValue: 10,
+    allowNull: false,
+    comment: 'Maximum emails per hour for this sender'
+  },
+  cancelledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  templateId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  sendingAccountId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  apiKeyId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'API key that created it; null when created from a user session'
+  },
+  trackingEnabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false
+  },
+  timezone: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  sendWindow: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Send window applied to every email, in each recipient\'s timezone'
+  }
+}, {
+  tableName: 'campaigns',
+  timestamps: true
+});
+
+// Define Template model (owned by a sender, content lives in versions)
+const Template = sequelize.define('Template', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  senderId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  currentVersion: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1,
+    allowNull: false
+  }
+}, {
+  tableName: 'templates',
+  timestamps: true,
+  paranoid: true // keep deleted templates so sent emails can still be traced
+});
+
+// Define TemplateVersion model (immutable snapshot of a template's content)
+const TemplateVersion = sequelize.define('TemplateVersion', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  templateId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  subject: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  text: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  html: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  placeholders: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Placeholder names used in subject, text and html'
+  }
+}, {
+  tableName: 'template_versions',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { unique: true, fields: ['templateId', 'version'] }
+  ]
+});
+
+// Define RecurringSchedule model (cron or RRULE series; each occurrence is an EmailLog)
+const RecurringSchedule = sequelize.define('RecurringSchedule', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  senderId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  workspaceId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Workspace its occurrences are shared in'
+  },
+  recipient: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isEmail: true
+    }
+  },
+  participants: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'to/cc/bcc/replyTo copied to every occurrence'
+  },
+  subject: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  html: {
+    type: DataTypes.TEXT('medium'),
+    allowNull: true
+  },
+  attachmentIds: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Attachments added to every occurrence'
+  },
+  templateId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  variables: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  recurrenceType: {
+    type: DataTypes.ENUM('CRON', 'RRULE'),
+    allowNull: false
+  },
+  expression: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  timezone: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'UTC',
+    comment: 'IANA timezone the expression is evaluated in'
+  },
+  recipientTimezone: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  sendWindow: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Send window copied to every occurrence'
+  },
+  startAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  endAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  maxOccurrences: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  occurrenceCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false,
+    comment: 'Number of occurrences created so far'
+  },
+  nextRunAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  currentOccurrenceId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'EmailLog of the upcoming occurrence'
+  },
+  status: {
+    type: DataTypes.ENUM('ACTIVE', 'PAUSED', 'COMPLETED'),
+    defaultValue: 'ACTIVE',
+    allowNull: false
+  },
+  delayBetweenEmails: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false
+  },
+  hourlyLimit: {
+    type: DataTypes.INTEGER,
+    defaultValue: 10,
+    allowNull: false
+  },
+  sendingAccountId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  apiKeyId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'API key that created it; null when created from a user session'
+  },
+  trackingEnabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false
+  }
+}, {
+  tableName: 'recurring_schedules',
   timestamps: true
 });
 
+// Define Attachment model (uploaded file stored on disk, owned by a sender)
+const Attachment = sequelize.define('Attachment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  senderId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  filename: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Original file name, used as the attachment name'
+  },
+  mimeType: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  size: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Size in bytes'
+  },
+  storagePath: {
+    type: DataTypes.STRING,
+    allowNull: false
+  }
+}, {
+  tableName: 'attachments',
+  timestamps: true
+});
+
+// Join table between emails and their attachments
+const EmailAttachment = sequelize.define('EmailAttachment', {
+  emailLogId: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    allowNull: false
+  },
+  attachmentId: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    allowNull: false
+  }
+}, {
+  tableName: 'email_attachments',
+  timestamps: false
+});
+
+// Define SendingAccount model (a user's SMTP identity; password encrypted at rest)
+const SendingAccount = sequelize.define('SendingAccount', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  senderId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  workspaceId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Shared with the members of this workspace; null for a personal account'
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  host: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  port: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 587
+  },
+  secure: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Implicit TLS (usually port 465)'
+  },
+  requireTls: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    comment: 'Require STARTTLS when not using implicit TLS'
+  },
+  username: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  encryptedPassword: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  fromName: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  fromEmail: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isEmail: true
+    }
+  },
+  replyTo: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    validate: {
+      isEmail: true
+    }
+  },
+  isDefault: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  verifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Error from the last failed connection check'
+  }
+}, {
+  tableName: 'sending_accounts',
+  timestamps: true
+});
+
+// Define Webhook model (endpoint notified about email lifecycle events)
+const Webhook = sequelize.define('Webhook', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  senderId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  url: {
+    type: DataTypes.STRING(2048),
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  events: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: ['*'],
+    comment: 'Subscribed event names, or * for all'
+  },
+  encryptedSecret: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    comment: 'Signing secret, encrypted at rest'
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  }
+}, {
+  tableName: 'webhooks',
+  timestamps: true
+});
+
+// Define WebhookDelivery model (one row per delivery attempt)
+const WebhookDelivery = sequelize.define('WebhookDelivery', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  webhookId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  eventId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'Same for every retry of one event'
+  },
+  event: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  payload: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  attempt: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  success: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  statusCode: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  durationMs: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  }
+}, {
+  tableName: 'webhook_deliveries',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['webhookId', 'createdAt'] }
+  ]
+});
+
+// Define EmailEvent model (open/click recorded by the tracking routes)
+const EmailEvent = sequelize.define('EmailEvent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  emailLogId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  senderId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.ENUM('OPEN', 'CLICK'),
+    allowNull: false
+  },
+  url: {
+    type: DataTypes.STRING(2048),
+    allowNull: true,
+    comment: 'Destination of a click'
+  },
+  userAgent: {
+    type: DataTypes.STRING(512),
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'email_events',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['emailLogId', 'type'] },
+    { fields: ['senderId', 'createdAt'] }
+  ]
+});
+
+// Define Suppression model (addresses a sender must not mail again)
+const Suppression = sequelize.define('Suppression', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  senderId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  email: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Lower-cased address'
+  },
+  reason: {
+    type: DataTypes.ENUM('UNSUBSCRIBED', 'BOUNCED', 'COMPLAINED', 'MANUAL'),
+    allowNull: false,
+    defaultValue: 'MANUAL'
+  },
+  source: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Where the entry came from, e.g. unsubscribe-link, smtp-bounce, import, api'
+  },
+  note: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Free text, or the full SMTP reply for bounces'
+  }
+}, {
+  tableName: 'suppressions',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['senderId', 'email'] }
+  ]
+});
+
+// Define EmailRecipient model (every to/cc/bcc/reply-to address of an email)
+const EmailRecipient = sequelize.define('EmailRecipient', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  emailLogId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.ENUM('TO', 'CC', 'BCC', 'REPLY_TO'),
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Display name, e.g. "Jane" in "Jane <jane@example.com>"'
+  },
+  address: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isEmail: true
+    }
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Order within its type'
+  }
+}, {
+  tableName: 'email_recipients',
+  timestamps: false,
+  indexes: [
+    { fields: ['emailLogId'] },
+    { fields: ['address'] }
+  ]
+});
+
+// Define DeliveryAttempt model (one row per worker attempt at sending an email)
+const DeliveryAttempt = sequelize.define('DeliveryAttempt', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  emailLogId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  attempt: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Attempt number for the email, counted across re-queued jobs'
+  },
+  jobId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  jobAttempt: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'BullMQ attempt number of the job'
+  },
+  outcome: {
+    type: DataTypes.ENUM('IN_PROGRESS', 'SENT', 'RETRYING', 'FAILED', 'THROTTLED', 'SUPPRESSED'),
+    allowNull: false,
+    defaultValue: 'IN_PROGRESS'
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  finishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  responseCode: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'SMTP reply code'
+  },
+  response: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'SMTP reply text'
+  },
+  messageId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  failureType: {
+    type: DataTypes.ENUM('PERMANENT', 'TRANSIENT'),
+    allowNull: true,
+    comment: 'How the retry policy classified a failure'
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the email is tried again after a retryable failure or throttle'
+  }
+}, {
+  tableName: 'delivery_attempts',
+  timestamps: false,
+  indexes: [
+    { fields: ['emailLogId', 'attempt'] }
+  ]
+});
+
+// Define User model (created on first Google login; id is the Google account ID used as senderId)
+const User = sequelize.define('User', {
+  id: {
+    type: DataTypes.STRING,
+    primaryKey: true,
+    allowNull: false
+  },
+  email: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  avatar: {
+    type: DataTypes.STRING(1024),
+    allowNull: true
+  },
+  emailVerified: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Whether Google verified the email at the last login'
+  },
+  timezone: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Default IANA timezone for scheduledAt without an offset'
+  },
+  defaultDelayBetweenEmails: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Used when a request has no delayBetweenEmails'
+  },
+  defaultHourlyLimit: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Used when a request has no hourlyLimit; null uses 10, capped by the hourly quota'
+  },
+  defaultTrackingEnabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  maxHourlySends: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Quota override; null uses the plan default'
+  },
+  maxDailySends: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Quota override; null uses the plan default'
+  },
+  maxPendingEmails: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Quota override; null uses the plan default'
+  },
+  maxAttachmentStorage: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    comment: 'Quota override in bytes; null uses the plan default'
+  },
+  role: {
+    type: DataTypes.ENUM('USER', 'ADMIN'),
+    allowNull: false,
+    defaultValue: 'USER',
+    comment: 'ADMIN can use the /admin routes; ADMIN_EMAILS are promoted on login'
+  },
+  lastLoginAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'users',
+  timestamps: true,
+  indexes: [
+    { fields: ['email'] }
+  ]
+});
+
+// Define RefreshToken model (server-side sessions; tokens rotate within a family on every refresh)
+const RefreshToken = sequelize.define('RefreshToken', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  familyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'Shared by every token rotated from the same login; also the access token sid'
+  },
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: 'SHA-256 of the token; the token itself is never stored'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Set when the token is exchanged; presenting it again is reuse'
+  },
+  replacedById: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedReason: {
+    type: DataTypes.ENUM('LOGOUT', 'LOGOUT_ALL', 'REUSE_DETECTED'),
+    allowNull: true
+  },
+  userAgent: {
+    type: DataTypes.STRING(512),
+    allowNull: true
+  }
+}, {
+  tableName: 'refresh_tokens',
+  timestamps: true,
+  indexes: [
+    { fields: ['userId'] },
+    { fields: ['familyId'] }
+  ]
+});
+
+// Define ApiKey model (hashed keys for server-to-server calls, scoped per key)
+const ApiKey = sequelize.define('ApiKey', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  prefix: {
+    type: DataTypes.STRING(16),
+    allowNull: false,
+    comment: 'First characters of the key, shown to tell keys apart'
+  },
+  keyHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: 'SHA-256 of the key; the key itself is only shown at creation'
+  },
+  scopes: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: 'Any of read, schedule, manage'
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'api_keys',
+  timestamps: true,
+  indexes: [
+    { fields: ['userId'] }
+  ]
+});
+
+// Define ApiKeyActivity model (one row per create/change/delete request made with an API key)
+const ApiKeyActivity = sequelize.define('ApiKeyActivity', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  apiKeyId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  method: {
+    type: DataTypes.STRING(10),
+    allowNull: false
+  },
+  path: {
+    type: DataTypes.STRING(1024),
+    allowNull: false,
+    comment: 'Request path without the query string, e.g. /emails/<id>'
+  },
+  statusCode: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  }
+}, {
+  tableName: 'api_key_activities',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['apiKeyId', 'createdAt'] }
+  ]
+});
+
+// Define Workspace model (team sharing email logs, sending accounts and rate limits)
+const Workspace = sequelize.define('Workspace', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  ownerId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  hourlyLimit: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Sends per hour shared by all members; null leaves each email its own hourlyLimit'
+  },
+  dailyLimit: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Sends per day shared by all members; null uses the sender quota'
+  }
+}, {
+  tableName: 'workspaces',
+  timestamps: true
+});
+
+// Define WorkspaceMember model (membership or pending invitation, by email until accepted)
+const WorkspaceMember = sequelize.define('WorkspaceMember', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  workspaceId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Set when the invitation is accepted'
+  },
+  email: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Normalized address the invitation was sent to'
+  },
+  role: {
+    type: DataTypes.ENUM('OWNER', 'ADMIN', 'EDITOR', 'VIEWER'),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('INVITED', 'ACTIVE'),
+    allowNull: false,
+    defaultValue: 'INVITED'
+  },
+  invitedBy: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  joinedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'workspace_members',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['workspaceId', 'email'] },
+    { fields: ['userId'] },
+    { fields: ['email'] }
+  ]
+});
+
+// Define QueueOutbox model (queue changes written in the same transaction as the rows they
+// belong to; the dispatcher applies them to BullMQ afterwards)
+const QueueOutbox = sequelize.define('QueueOutbox', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  action: {
+    type: DataTypes.ENUM('ADD', 'UPDATE', 'REMOVE'),
+    allowNull: false
+  },
+  jobId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  data: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Job data for ADD'
+  },
+  runAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When an added job should run (for UPDATE, null keeps the job\'s timing); the delay is computed at dispatch'
+  },
+  dispatchedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'queue_outbox',
+  timestamps: true,
+  indexes: [
+    { fields: ['dispatchedAt', 'id'] },
+    { fields: ['jobId'] }
+  ]
+});
+
+// Define IdempotencyKey model (the stored 201 response of a POST /schedule made with an
+// Idempotency-Key header; written in the request's transaction, so the unique index lets only one
+// of two racing requests commit)
+const IdempotencyKey = sequelize.define('IdempotencyKey', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  senderId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  key: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  requestHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'SHA-256 of the request body and workspace; a reused key must match it'
+  },
+  statusCode: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  responseBody: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'idempotency_keys',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['senderId', 'key'] },
+    { fields: ['expiresAt'] }
+  ]
+});
+
+// Associations
+Campaign.hasMany(EmailLog, { foreignKey: 'campaignId', as: 'emails', onDelete: 'CASCADE' });
+EmailLog.belongsTo(Campaign, { foreignKey: 'campaignId', as: 'campaign' });
+Template.hasMany(TemplateVersion, { foreignKey: 'templateId', as: 'versions', onDelete: 'CASCADE' });
+TemplateVersion.belongsTo(Template, { foreignKey: 'templateId', as: 'template' });
+RecurringSchedule.hasMany(EmailLog, { foreignKey: 'recurringScheduleId', as: 'occurrences', onDelete: 'SET NULL' });
+EmailLog.belongsTo(RecurringSchedule, { foreignKey: 'recurringScheduleId', as: 'recurringSchedule' });
+EmailLog.belongsToMany(Attachment, { through: EmailAttachment, foreignKey: 'emailLogId', otherKey: 'attachmentId', as: 'attachments' });
+Attachment.belongsToMany(EmailLog, { through: EmailAttachment, foreignKey: 'attachmentId', otherKey: 'emailLogId', as: 'emails' });
+EmailLog.belongsTo(SendingAccount, { foreignKey: 'sendingAccountId', as: 'sendingAccount', constraints: false });
+EmailLog.hasMany(EmailEvent, { foreignKey: 'emailLogId', as: 'events', onDelete: 'CASCADE' });
+EmailEvent.belongsTo(EmailLog, { foreignKey: 'emailLogId', as: 'emailLog' });
+EmailLog.hasMany(EmailRecipient, { foreignKey: 'emailLogId', as: 'recipients', onDelete: 'CASCADE' });
+EmailRecipient.belongsTo(EmailLog, { foreignKey: 'emailLogId', as: 'emailLog' });
+EmailLog.hasMany(DeliveryAttempt, { foreignKey: 'emailLogId', as: 'deliveryAttempts', onDelete: 'CASCADE' });
+DeliveryAttempt.belongsTo(EmailLog, { foreignKey: 'emailLogId', as: 'emailLog' });
+Webhook.hasMany(WebhookDelivery, { foreignKey: 'webhookId', as: 'deliveries', onDelete: 'CASCADE' });
+WebhookDelivery.belongsTo(Webhook, { foreignKey: 'webhookId', as: 'webhook' });
+User.hasMany(RefreshToken, { foreignKey: 'userId', as: 'refreshTokens', onDelete: 'CASCADE' });
+RefreshToken.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+User.hasMany(ApiKey, { foreignKey: 'userId', as: 'apiKeys', onDelete: 'CASCADE' });
+ApiKey.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+ApiKey.hasMany(ApiKeyActivity, { foreignKey: 'apiKeyId', as: 'activities', onDelete: 'CASCADE' });
+ApiKeyActivity.belongsTo(ApiKey, { foreignKey: 'apiKeyId', as: 'apiKey' });
+Workspace.hasMany(WorkspaceMember, { foreignKey: 'workspaceId', as: 'members', onDelete: 'CASCADE' });
+WorkspaceMember.belongsTo(Workspace, { foreignKey: 'workspaceId', as: 'workspace' });
+Workspace.hasMany(EmailLog, { foreignKey: 'workspaceId', as: 'emails', constraints: false });
+EmailLog.belongsTo(Workspace, { foreignKey: 'workspaceId', as: 'workspace', constraints: false });
+
+// Default timezones used to live in user_profiles, before users had their own table. Copy them
+// onto the users rows and drop the old table once every profile has found its user; profiles of
+// senders without a row yet (created at their next sign-in) are copied on a later start.
+const migrateUserProfiles = async () => {
+  const queryInterface = sequelize.getQueryInterface();
+  const tables = await queryInterface.showAllTables();
+  if (!tables.includes('user_profiles')) {
+    return;
+  }
+
+  await sequelize.query(`
+    UPDATE users u JOIN user_profiles p ON p.senderId = u.id
+    SET u.timezone = p.timezone
+    WHERE u.timezone IS NULL AND p.timezone IS NOT NULL
+  `);
+  await sequelize.query('DELETE p FROM user_profiles p JOIN users u ON u.id = p.senderId');
+
+  const [[{ remaining }]] = await sequelize.query('SELECT COUNT(*) AS remaining FROM user_profiles');
+  if (Number(remaining) === 0) {
+    await queryInterface.dropTable('user_profiles');
+    console.log('Migrated user_profiles into users.');
+  } else {
+    console.log(`${remaining} user profile(s) wait for their user before they can be migrated.`);
+  }
+};
+
 // Sync database (create tables if they don't exist)
 const syncDatabase = async () => {
   try {
     await sequelize.authenticate();
     console.log('Database connection established successfully.');
     await sequelize.sync({ alter: true });
+    await migrateUserProfiles();
     console.log('Database models synchronized.');
   } catch (error) {
     console.error('Unable to connect to the database:', error);
@@ -94,5 +1392,26 @@ const syncDatabase = async () => {
 export {
   sequelize,
   EmailLog,
+  Campaign,
+  Template,
+  TemplateVersion,
+  RecurringSchedule,
+  Attachment,
+  EmailAttachment,
+  SendingAccount,
+  Webhook,
+  WebhookDelivery,
+  EmailEvent,
+  Suppression,
+  EmailRecipient,
+  DeliveryAttempt,
+  User,
+  RefreshToken,
+  ApiKey,
+  ApiKeyActivity,
+  Workspace,
+  WorkspaceMember,
+  QueueOutbox,
+  IdempotencyKey,
   syncDatabase
 };
@@ -0,0 +1,41 @@
+import { Op } from 'sequelize';
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+export const parsePageSize = (limit) => {
+  return Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+};
+
+// Cursors are opaque to clients: base64url JSON of the sort key and id of the last row
+export const encodeCursor = (row, sortField) => {
+  const value = row[sortField] instanceof Date ? row[sortField].toISOString() : row[sortField];
+  return Buffer.from(JSON.stringify({ f: sortField, v: value, id: row.id })).toString('base64url');
+};
+
+// Returns { value, id }, or null if the cursor is malformed or was made for another sort field
+export const decodeCursor = (cursor, sortField) => {
+  try {
+    const { f, v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (f !== sortField || v === undefined || !id) {
+      return null;
+    }
+    return { value: v, id };
+  } catch {
+    return null;
+  }
+};
+
+// Keyset condition for the rows after the cursor; id breaks ties between equal sort values
+export const cursorCondition = ({ value, id }, sortField, direction) => {
+  const op = direction === 'ASC' ? Op.gt : Op.lt;
+  return {
+    [Op.or]: [
+      { [sortField]: { [op]: value } },
+      { [sortField]: value, id: { [op]: id } }
+    ]
+  };
+};
+
+// Sequelize order matching cursorCondition
+export const cursorOrder = (sortField, direction) => [[sortField, direction], ['id', direction]];
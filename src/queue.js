@@ -2,7 +2,7 @@ import { Queue } from 'bullmq';
 import Redis from 'ioredis';
 
 // Connect to Redis using your connection string
-const connection = new Redis(process.env.REDIS_URL || 'redis://localhost:6379', {
+export const connection = new Redis(process.env.REDIS_URL || 'redis://localhost:6379', {
   maxRetriesPerRequest: null,
   enableReadyCheck: false
 });
@@ -22,4 +22,36 @@ export const emailQueue = new Queue('email-queue', {
   }
 });
 
+// Webhook callbacks are delivered through their own queue so slow receivers never hold up email jobs
+export const webhookQueue = new Queue('webhook-queue', {
+  connection,
+  defaultJobOptions: {
+    attempts: 6,
+    backoff: {
+      type: 'exponential',
+      delay: 5000
+    },
+    removeOnComplete: {
+      count: 1000,
+      age: 24 * 3600
+    },
+    removeOnFail: {
+      age: 7 * 24 * 3600
+    }
+  }
+});
+
 console.log('✅ Email queue connected to Redis');
+
+// States of a job that will still run or is running
+export const LIVE_STATES = ['waiting', 'prioritized', 'delayed', 'active'];
+
+// Find the job currently responsible for sending an email, or null. An email's job always
+// has the email's ID: throttling, pacing and send windows defer that same job.
+export const findLiveJob = async (emailLogId) => {
+  const job = await emailQueue.getJob(emailLogId);
+  if (job && LIVE_STATES.includes(await job.getState())) {
+    return job;
+  }
+  return null;
+};
@@ -0,0 +1,186 @@
+import { Op } from 'sequelize';
+import { QueueOutbox } from './models.js';
+import { emailQueue } from './queue.js';
+
+// Transactional outbox for the email queue. Routes write queue changes to queue_outbox in the
+// same transaction as the EmailLog rows, so a row never commits without its job (or a deleted
+// row without its job's removal). The dispatcher applies entries to BullMQ in order and keeps
+// retrying the ones that fail, e.g. while Redis is down.
+export const OUTBOX_DISPATCH_INTERVAL = parseInt(process.env.OUTBOX_DISPATCH_INTERVAL) || 5000;
+const DISPATCH_BATCH_SIZE = 100;
+const FINISHED_STATES = ['completed', 'failed'];
+
+// Job data the worker receives for an email (the row stays the source of truth)
+export const buildEmailJobData = (emailLog) => ({
+  emailLogId: emailLog.id,
+  campaignId: emailLog.campaignId,
+  recurringScheduleId: emailLog.recurringScheduleId,
+  recipient: emailLog.recipient,
+  subject: emailLog.subject,
+  body: emailLog.body,
+  senderId: emailLog.senderId,
+  templateId: emailLog.templateId,
+  delayBetweenEmails: emailLog.delayBetweenEmails,
+  hourlyLimit: emailLog.hourlyLimit
+});
+
+const addEntry = (emailLog) => ({
+  action: 'ADD',
+  jobId: emailLog.id,
+  data: buildEmailJobData(emailLog),
+  runAt: emailLog.scheduledAt || new Date()
+});
+
+// Queue the email's job (under the email's ID, due at its scheduledAt) once `transaction` commits
+export const queueEmailJob = (emailLog, transaction) => {
+  return QueueOutbox.create(addEntry(emailLog), { transaction });
+};
+
+export const queueEmailJobs = (emailLogs, transaction) => {
+  return QueueOutbox.bulkCreate(emailLogs.map(addEntry), { transaction });
+};
+
+// Give the email's job the row's current data once `transaction` commits. With `reschedule`
+// it is moved to the email's scheduledAt, otherwise it keeps its timing (e.g. a throttle deferral).
+export const queueEmailJobUpdate = (emailLog, { reschedule = false } = {}, transaction) => {
+  return QueueOutbox.create({
+    ...addEntry(emailLog),
+    action: 'UPDATE',
+    runAt: reschedule ? emailLog.scheduledAt : null
+  }, { transaction });
+};
+
+// Remove a job once `transaction` commits
+export const queueJobRemoval = (jobId, transaction) => {
+  return QueueOutbox.create({ action: 'REMOVE', jobId }, { transaction });
+};
+
+const delayUntil = (runAt) => (runAt ? Math.max(new Date(runAt).getTime() - Date.now(), 0) : 0);
+
+// Adding is idempotent: a live job under the ID is left alone, a finished one is replaced.
+// Updating changes a delayed job in place and replaces any other one.
+// Removing or updating an active job throws (BullMQ holds a lock on it), so the entry is retried.
+const applyEntry = async (entry) => {
+  const existing = await emailQueue.getJob(entry.jobId);
+
+  if (entry.action === 'REMOVE') {
+    if (existing) {
+      await existing.remove();
+    }
+    return;
+  }
+
+  if (existing) {
+    const state = await existing.getState();
+
+    if (entry.action === 'ADD' && !FINISHED_STATES.includes(state)) {
+      return;
+    }
+
+    if (entry.action === 'UPDATE' && state === 'delayed') {
+      await existing.updateData(entry.data);
+      if (entry.runAt) {
+        const delay = delayUntil(entry.runAt);
+        if (delay === 0) {
+          await existing.promote();
+        } else {
+          await existing.changeDelay(delay);
+        }
+      }
+      return;
+    }
+
+    await existing.remove();
+  }
+
+  await emailQueue.add('send-email', entry.data, {
+    jobId: entry.jobId,
+    delay: delayUntil(entry.runAt)
+  });
+};
+
+let dispatching = null;
+let dispatchRequested = false;
+
+const runDispatch = async () => {
+  let dispatched = 0;
+  let failed = 0;
+  let progressed;
+
+  do {
+    dispatchRequested = false;
+    progressed = false;
+
+    const entries = await QueueOutbox.findAll({
+      where: { dispatchedAt: null },
+      order: [['id', 'ASC']],
+      limit: DISPATCH_BATCH_SIZE
+    });
+
+    // Entries for one job are applied in order: after a failure, later ones wait for the next run
+    const blocked = new Set();
+    for (const entry of entries) {
+      if (blocked.has(entry.jobId)) {
+        continue;
+      }
+
+      try {
+        await applyEntry(entry);
+        await entry.update({ dispatchedAt: new Date(), attempts: entry.attempts + 1, lastError: null });
+        dispatched++;
+        progressed = true;
+      } catch (error) {
+        blocked.add(entry.jobId);
+        failed++;
+        await entry.update({ attempts: entry.attempts + 1, lastError: error.message });
+        console.error(`⚠️  Outbox entry ${entry.id} (${entry.action} ${entry.jobId}) failed:`, error.message);
+      }
+    }
+
+    progressed = progressed && entries.length === DISPATCH_BATCH_SIZE;
+  } while (progressed || dispatchRequested);
+
+  return { dispatched, failed };
+};
+
+// Apply every undispatched entry. Concurrent calls share one run; a call during a run
+// makes it check again for entries committed in the meantime.
+export const dispatchOutbox = () => {
+  if (dispatching) {
+    dispatchRequested = true;
+    return dispatching;
+  }
+
+  dispatching = runDispatch().finally(() => {
+    dispatching = null;
+  });
+  return dispatching;
+};
+
+// Fire-and-forget dispatch after a commit; failures stay in the outbox for the next run
+export const dispatchOutboxSoon = () => {
+  dispatchOutbox().catch((error) => {
+    console.error('Error dispatching queue outbox:', error.message);
+  });
+};
+
+// Dispatch after `transaction` commits, or right away without one
+export const dispatchAfterCommit = (transaction) => {
+  if (transaction) {
+    transaction.afterCommit(dispatchOutboxSoon);
+  } else {
+    dispatchOutboxSoon();
+  }
+};
+
+export const startOutboxDispatcher = () => {
+  dispatchOutboxSoon();
+  return setInterval(dispatchOutboxSoon, OUTBOX_DISPATCH_INTERVAL);
+};
+
+// Delete dispatched entries older than `retentionMs`. Returns how many were deleted.
+export const pruneOutbox = (retentionMs) => {
+  return QueueOutbox.destroy({
+    where: { dispatchedAt: { [Op.lt]: new Date(Date.now() - retentionMs) } }
+  });
+};
@@ -0,0 +1,89 @@
+import { Op } from 'sequelize';
+import { EmailLog } from './models.js';
+import { emailQueue, connection } from './queue.js';
+import { getRateLimitUsage } from './rateLimit.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const EMAIL_STATUSES = EmailLog.getAttributes().status.values;
+
+// Job states the admin view can list
+export const ADMIN_JOB_STATES = ['active', 'waiting', 'delayed', 'failed'];
+
+// Queue stats for the rows a request can see (see ownerScope): email counts by status, the next
+// scheduled send, recent throughput and the usage of the subject's rate-limit windows.
+// `subject` is the rate-limit subject: the sender ID, or workspace:<id>; `caps` are the caller's
+// effective hour and day limits (see resolveSendCaps).
+export const getScopedQueueStats = async (scope, subject, caps) => {
+  const now = Date.now();
+  const countSince = (status, field, ms) => EmailLog.count({
+    where: { ...scope, status, [field]: { [Op.gte]: new Date(now - ms) } }
+  });
+
+  const [statusCounts, nextEmail, sentLastHour, sentLastDay, failedLastHour, failedLastDay, rateLimits] = await Promise.all([
+    EmailLog.count({ where: scope, group: ['status'] }),
+    EmailLog.findOne({
+      where: { ...scope, status: ['PENDING', 'THROTTLED'] },
+      order: [['scheduledAt', 'ASC']],
+      attributes: ['id', 'recipient', 'subject', 'status', 'scheduledAt']
+    }),
+    countSince('SENT', 'sentAt', HOUR),
+    countSince('SENT', 'sentAt', DAY),
+    countSince('FAILED', 'updatedAt', HOUR),
+    countSince('FAILED', 'updatedAt', DAY),
+    getRateLimitUsage(connection, subject, caps)
+  ]);
+
+  const byStatus = Object.fromEntries(EMAIL_STATUSES.map((status) => [status, 0]));
+  for (const { status, count } of statusCounts) {
+    byStatus[status] = count;
+  }
+
+  return {
+    byStatus,
+    total: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+    nextScheduledSend: nextEmail ? {
+      emailLogId: nextEmail.id,
+      recipient: nextEmail.recipient,
+      subject: nextEmail.subject,
+      status: nextEmail.status,
+      scheduledAt: nextEmail.scheduledAt
+    } : null,
+    throughput: {
+      lastHour: { sent: sentLastHour, failed: failedLastHour },
+      lastDay: { sent: sentLastDay, failed: failedLastDay }
+    },
+    rateLimits
+  };
+};
+
+const serializeJob = (job, state) => ({
+  id: job.id,
+  name: job.name,
+  state,
+  data: job.data,
+  attemptsMade: job.attemptsMade,
+  maxAttempts: job.opts.attempts || 1,
+  createdAt: new Date(job.timestamp).toISOString(),
+  runAt: new Date(job.timestamp + (job.delay || 0)).toISOString(),
+  processedAt: job.processedOn ? new Date(job.processedOn).toISOString() : null,
+  finishedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : null,
+  failedReason: job.failedReason || null
+});
+
+// Every job in the queue: BullMQ counts, whether the queue is paused, and the jobs in each of
+// `states`, oldest first, up to `limit` per state
+export const getGlobalQueueStats = async ({ states = ADMIN_JOB_STATES, limit = 50 } = {}) => {
+  const [counts, paused] = await Promise.all([
+    emailQueue.getJobCounts('waiting', 'prioritized', 'active', 'delayed', 'completed', 'failed', 'paused'),
+    emailQueue.isPaused()
+  ]);
+
+  const jobs = {};
+  for (const state of states) {
+    const stateJobs = await emailQueue.getJobs([state], 0, limit - 1, true);
+    jobs[state] = stateJobs.filter(Boolean).map((job) => serializeJob(job, state));
+  }
+
+  return { paused, counts, jobs };
+};
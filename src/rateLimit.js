@@ -0,0 +1,279 @@
+import { v4 as uuidv4 } from 'uuid';
+
+// Sliding-window send limits kept in Redis sorted sets (one member per send, scored by time).
+// Keys: rate-limit:<senderId>:<window> and rate-limit:<senderId>:domain:<domain>:<window>,
+// where workspace emails use workspace:<workspaceId> in place of the sender so members share them.
+export const RATE_LIMIT_WINDOWS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+const WINDOW_ALIASES = {
+  m: 'minute',
+  min: 'minute',
+  minute: 'minute',
+  h: 'hour',
+  hour: 'hour',
+  d: 'day',
+  day: 'day'
+};
+
+// Sender-wide limits besides each email's own hourlyLimit; unset means no limit
+export const DEFAULT_SENDER_LIMITS = {
+  minute: parseInt(process.env.RATE_LIMIT_PER_MINUTE) || null,
+  day: parseInt(process.env.RATE_LIMIT_PER_DAY) || null
+};
+
+// Per-recipient-domain caps, e.g. RATE_LIMIT_DOMAIN_CAPS="gmail.com:20/minute,yahoo.com:300/hour"
+export const parseDomainCaps = (value) => {
+  const caps = [];
+
+  for (const entry of value.split(',').map((part) => part.trim()).filter(Boolean)) {
+    const match = entry.match(/^([^:\s]+):(\d+)\/(\w+)$/);
+    const window = match && WINDOW_ALIASES[match[3].toLowerCase()];
+    if (!window) {
+      console.warn(`⚠️  Ignoring invalid RATE_LIMIT_DOMAIN_CAPS entry "${entry}"`);
+      continue;
+    }
+    caps.push({ domain: match[1].toLowerCase(), limit: parseInt(match[2]), window });
+  }
+
+  return caps;
+};
+
+export const DOMAIN_CAPS = parseDomainCaps(process.env.RATE_LIMIT_DOMAIN_CAPS || '');
+
+export const senderKey = (senderId, window) => `rate-limit:${senderId}:${window}`;
+export const domainKey = (senderId, domain, window) => `rate-limit:${senderId}:domain:${domain}:${window}`;
+
+// Check every limit and, only if all have room, record the send in each of them.
+// KEYS: one sorted set per limit. ARGV: member, then windowMs, limit, cost per key.
+// Returns { 1, 0, 0 } when reserved, or { 0, msUntilFree, index of the blocking key }.
+const ACQUIRE_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local member = ARGV[1]
+local waitMs = 0
+local blocked = 0
+
+for i, key in ipairs(KEYS) do
+  local window = tonumber(ARGV[(i - 1) * 3 + 2])
+  local limit = tonumber(ARGV[(i - 1) * 3 + 3])
+  local cost = tonumber(ARGV[(i - 1) * 3 + 4])
+
+  redis.call('ZREMRANGEBYSCORE', key, '-inf', now - window)
+  local count = redis.call('ZCARD', key)
+
+  if count + cost > limit then
+    -- Room frees up when the entry that pushes us over the limit leaves the window
+    local index = count + cost - limit - 1
+    local entry = redis.call('ZRANGE', key, index, index, 'WITHSCORES')
+    local wait = tonumber(entry[2]) + window - now
+    if wait > waitMs then
+      waitMs = wait
+      blocked = i
+    end
+  end
+end
+
+if blocked > 0 then
+  return { 0, waitMs, blocked }
+end
+
+for i, key in ipairs(KEYS) do
+  local window = tonumber(ARGV[(i - 1) * 3 + 2])
+  local cost = tonumber(ARGV[(i - 1) * 3 + 4])
+  for n = 1, cost do
+    redis.call('ZADD', key, now, member .. ':' .. n)
+  end
+  redis.call('PEXPIRE', key, window)
+end
+
+return { 1, 0, 0 }
+`;
+
+// Sender-wide limit per window. A sender's dailyLimit (their plan quota) tightens the global
+// per-day limit but never loosens it.
+const senderLimitsFor = ({ hourlyLimit, dailyLimit = null }) => {
+  const dayLimits = [DEFAULT_SENDER_LIMITS.day, dailyLimit].filter((limit) => limit > 0);
+  return {
+    ...DEFAULT_SENDER_LIMITS,
+    hour: hourlyLimit,
+    day: dayLimits.length > 0 ? Math.min(...dayLimits) : null
+  };
+};
+
+// Limits that apply to one email: sender tiers plus a cap per recipient domain,
+// where each recipient address in that domain counts once.
+export const buildSendLimits = (senderId, { hourlyLimit, dailyLimit = null, addresses = [] }) => {
+  const limits = [];
+  const senderLimits = senderLimitsFor({ hourlyLimit, dailyLimit });
+
+  for (const window of Object.keys(RATE_LIMIT_WINDOWS)) {
+    if (senderLimits[window] > 0) {
+      limits.push({ scope: 'sender', window, limit: senderLimits[window], cost: 1, key: senderKey(senderId, window) });
+    }
+  }
+
+  const countsByDomain = new Map();
+  for (const address of addresses) {
+    const domain = address.split('@').pop().toLowerCase();
+    countsByDomain.set(domain, (countsByDomain.get(domain) || 0) + 1);
+  }
+
+  for (const { domain, limit, window } of DOMAIN_CAPS) {
+    if (countsByDomain.has(domain)) {
+      limits.push({
+        scope: `domain:${domain}`,
+        window,
+        limit,
+        cost: countsByDomain.get(domain),
+        key: domainKey(senderId, domain, window)
+      });
+    }
+  }
+
+  return limits;
+};
+
+// Atomically reserve a send against every limit.
+// Returns { allowed: true, reservation } or { allowed: false, retryAt, blockedBy }. retryAt is
+// null when the email can never fit: it costs more than a limit allows in a whole window (more
+// same-domain recipients than the domain's cap).
+export const acquireSendSlot = async (redis, limits) => {
+  if (limits.length === 0) {
+    return { allowed: true, reservation: { member: null, limits } };
+  }
+
+  const oversized = limits.find(({ cost, limit }) => cost > limit);
+  if (oversized) {
+    return { allowed: false, retryAt: null, blockedBy: oversized };
+  }
+
+  ensureCommands(redis);
+  const member = uuidv4();
+  const args = limits.flatMap(({ window, limit, cost }) => [RATE_LIMIT_WINDOWS[window], limit, cost]);
+
+  const [allowed, waitMs, blockedIndex] = await redis.acquireSendSlot(
+    limits.length,
+    ...limits.map(({ key }) => key),
+    member,
+    ...args
+  );
+
+  if (allowed === 1) {
+    return { allowed: true, reservation: { member, limits } };
+  }
+
+  return {
+    allowed: false,
+    retryAt: new Date(Date.now() + waitMs),
+    blockedBy: limits[blockedIndex - 1]
+  };
+};
+
+// Current usage of a subject's (sender or workspace:<id>) sliding windows, against the limits
+// the worker applies for `caps` ({ hourlyLimit, dailyLimit }, see resolveSendCaps). Domain
+// windows only exist for the domains in DOMAIN_CAPS, so their keys are read directly.
+export const getRateLimitUsage = async (redis, subject, caps) => {
+  const now = Date.now();
+  const countInWindow = (key, window) => redis.zcount(key, now - RATE_LIMIT_WINDOWS[window], '+inf');
+
+  const windows = Object.keys(RATE_LIMIT_WINDOWS);
+  const limits = senderLimitsFor(caps);
+  const [senderCounts, domainCounts] = await Promise.all([
+    Promise.all(windows.map((window) => countInWindow(senderKey(subject, window), window))),
+    Promise.all(DOMAIN_CAPS.map(({ domain, window }) => countInWindow(domainKey(subject, domain, window), window)))
+  ]);
+
+  const sender = Object.fromEntries(windows.map((window, index) => [
+    window,
+    { used: senderCounts[index], limit: limits[window] || null }
+  ]));
+  const domains = DOMAIN_CAPS.map(({ domain, window, limit }, index) => ({
+    domain,
+    window,
+    used: domainCounts[index],
+    limit
+  }));
+
+  return { sender, domains };
+};
+
+// Give back a reservation whose send did not happen
+export const releaseSendSlot = async (redis, { member, limits }) => {
+  if (!member) {
+    return;
+  }
+
+  const pipeline = redis.pipeline();
+  for (const { key, cost } of limits) {
+    const members = Array.from({ length: cost }, (_, index) => `${member}:${index + 1}`);
+    pipeline.zrem(key, ...members);
+  }
+  await pipeline.exec();
+};
+
+// Per-sender pacing: the earliest time the sender's next email may go out.
+// Key: send-pacing:<senderId>
+export const pacingKey = (senderId) => `send-pacing:${senderId}`;
+
+// Hand out the sender's next send slot: now if it's free, otherwise the next free one. Each call
+// pushes the following slot `intervalMs` further out, so early jobs get distinct slots in the
+// order they asked. Returns { slot (Redis time), wait (ms until the slot) }.
+const RESERVE_SEND_TIME_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local nextAllowed = tonumber(redis.call('GET', KEYS[1]) or '0')
+local slot = math.max(now, nextAllowed)
+
+local interval = tonumber(ARGV[1])
+if interval > 0 then
+  redis.call('SET', KEYS[1], slot + interval, 'PX', slot + interval - now)
+end
+return { slot, slot - now }
+`;
+
+// Give a slot back if no later slot was handed out after it, so an email that wasn't sent
+// doesn't hold up the sender's next one. A slot followed by others is left as a gap.
+const RELEASE_SEND_TIME_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local slot = tonumber(ARGV[1])
+local interval = tonumber(ARGV[2])
+
+if tonumber(redis.call('GET', KEYS[1]) or '0') ~= slot + interval then
+  return 0
+end
+
+if slot > now then
+  redis.call('SET', KEYS[1], slot, 'PX', slot - now)
+else
+  redis.call('DEL', KEYS[1])
+end
+return 1
+`;
+
+// Scripts are registered on a connection the first time it's used
+const ensureCommands = (redis) => {
+  if (!redis.acquireSendSlot) {
+    redis.defineCommand('acquireSendSlot', { lua: ACQUIRE_SCRIPT });
+    redis.defineCommand('reserveSendTime', { numberOfKeys: 1, lua: RESERVE_SEND_TIME_SCRIPT });
+    redis.defineCommand('releaseSendTime', { numberOfKeys: 1, lua: RELEASE_SEND_TIME_SCRIPT });
+  }
+};
+
+// Returns { senderId, slot, intervalMs, wait }; the email may go out `wait` ms from now
+export const reserveSendTime = async (redis, senderId, intervalMs) => {
+  ensureCommands(redis);
+  const interval = Math.round(intervalMs);
+  const [slot, wait] = await redis.reserveSendTime(pacingKey(senderId), interval);
+  return { senderId, slot, intervalMs: interval, wait };
+};
+
+// Give back a slot from reserveSendTime whose email was not sent
+export const releaseSendTime = async (redis, { senderId, slot, intervalMs }) => {
+  ensureCommands(redis);
+  await redis.releaseSendTime(pacingKey(senderId), slot, intervalMs);
+};
@@ -0,0 +1,199 @@
+import { parse } from 'csv-parse/sync';
+import addressparser from 'nodemailer/lib/addressparser/index.js';
+
+export const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Cap on to + cc + bcc addresses of a single email
+export const MAX_RECIPIENTS_PER_EMAIL = parseInt(process.env.MAX_RECIPIENTS_PER_EMAIL) || 50;
+
+// Request fields holding participant addresses, and the EmailRecipient type each is stored as
+export const PARTICIPANT_FIELDS = {
+  to: 'TO',
+  cc: 'CC',
+  bcc: 'BCC',
+  replyTo: 'REPLY_TO'
+};
+
+// Column names accepted as the address column in a CSV upload
+const EMAIL_COLUMNS = ['email', 'recipient', 'email_address', 'emailaddress'];
+
+// Parse an uploaded CSV into recipient rows.
+// The file must have a header row with an email/recipient column; any other
+// columns are kept in `fields` so they can be used later (e.g. as variables).
+export const parseRecipientCsv = (buffer) => {
+  const records = parse(buffer, {
+    bom: true,
+    columns: (header) => header.map((column) => column.trim()),
+    skip_empty_lines: true,
+    trim: true,
+    relax_column_count: true
+  });
+
+  if (records.length === 0) {
+    return [];
+  }
+
+  const headers = Object.keys(records[0]);
+  const emailColumn = headers.find((column) => EMAIL_COLUMNS.includes(column.toLowerCase()));
+
+  if (!emailColumn) {
+    throw new Error(`CSV must have a header row with one of these columns: ${EMAIL_COLUMNS.join(', ')}`);
+  }
+
+  return records.map((record, index) => {
+    const { [emailColumn]: email, ...fields } = record;
+    return {
+      row: index + 2, // +1 for the header, +1 for 1-based line numbers
+      email,
+      fields
+    };
+  });
+};
+
+// Normalize recipients given in a JSON body.
+// Accepts strings or objects with an `email` (or `recipient`) property.
+export const normalizeRecipientList = (recipients) => {
+  return recipients.map((entry, index) => {
+    if (typeof entry === 'string') {
+      return { row: index + 1, email: entry, fields: {} };
+    }
+
+    const { email, recipient, ...fields } = entry || {};
+    return { row: index + 1, email: email ?? recipient, fields };
+  });
+};
+
+// Validate every recipient row and report errors per row.
+// Duplicate addresses (case-insensitive) are reported against the later row.
+export const validateRecipients = (rows) => {
+  const valid = [];
+  const errors = [];
+  const seen = new Set();
+
+  for (const { row, email, fields } of rows) {
+    const address = typeof email === 'string' ? email.trim() : '';
+
+    if (!address) {
+      errors.push({ row, email: email ?? null, error: 'Missing email address' });
+      continue;
+    }
+
+    if (!EMAIL_REGEX.test(address)) {
+      errors.push({ row, email: address, error: 'Invalid email format' });
+      continue;
+    }
+
+    const key = address.toLowerCase();
+    if (seen.has(key)) {
+      errors.push({ row, email: address, error: 'Duplicate recipient' });
+      continue;
+    }
+
+    seen.add(key);
+    valid.push({ row, email: address, fields });
+  }
+
+  return { valid, errors };
+};
+
+// Parse one address field into [{ name, address }].
+// Accepts "Jane <jane@x.com>, bob@x.com", an array of such strings, or objects
+// with `address` (or `email`) and an optional `name`. Returns { addresses } or { error }.
+export const parseAddressField = (value, field) => {
+  const entries = Array.isArray(value) ? value : [value];
+  const addresses = [];
+
+  for (const entry of entries) {
+    let parsed;
+    if (typeof entry === 'string') {
+      // Groups ("Team: a@x.com, b@x.com;") are flattened into their members
+      parsed = addressparser(entry).flatMap((item) => item.group || [item]);
+    } else if (entry && typeof entry === 'object') {
+      parsed = [{ name: entry.name || '', address: entry.address ?? entry.email }];
+    } else {
+      return { error: `${field} must be a string, an array or address objects` };
+    }
+
+    for (const { name, address } of parsed) {
+      const trimmed = typeof address === 'string' ? address.trim() : '';
+      if (!EMAIL_REGEX.test(trimmed)) {
+        return { error: `Invalid email address in ${field}: ${address || name || entry}` };
+      }
+      addresses.push({ name: (name || '').trim() || null, address: trimmed });
+    }
+  }
+
+  return { addresses };
+};
+
+// Resolve to/cc/bcc/replyTo from a request body. `recipient` is accepted as an alias of `to`.
+// An address is only kept once across to, cc and bcc (first field wins).
+// Returns { participants, recipient } where recipient is the primary `to` address, or { error }.
+export const resolveParticipants = (input, { required = true } = {}) => {
+  const participants = { to: [], cc: [], bcc: [], replyTo: [] };
+  const seen = new Set();
+
+  for (const field of Object.keys(PARTICIPANT_FIELDS)) {
+    const value = field === 'to' ? (input.to ?? input.recipient) : input[field];
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+
+    const { addresses, error } = parseAddressField(value, field);
+    if (error) {
+      return { error };
+    }
+
+    for (const entry of addresses) {
+      const key = `${field === 'replyTo' ? 'replyTo:' : ''}${entry.address.toLowerCase()}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        participants[field].push(entry);
+      }
+    }
+  }
+
+  if (required && participants.to.length === 0) {
+    return { error: 'At least one recipient is required in to (or recipient)' };
+  }
+
+  const total = participants.to.length + participants.cc.length + participants.bcc.length;
+  if (total > MAX_RECIPIENTS_PER_EMAIL) {
+    return { error: `An email can have at most ${MAX_RECIPIENTS_PER_EMAIL} recipients across to, cc and bcc` };
+  }
+
+  return {
+    participants,
+    recipient: participants.to.length > 0 ? participants.to[0].address : null
+  };
+};
+
+// EmailRecipient rows for an email, in the order they were given
+export const toRecipientRows = (emailLogId, participants) => {
+  return Object.entries(PARTICIPANT_FIELDS).flatMap(([field, type]) => {
+    return (participants[field] || []).map(({ name, address }, position) => ({
+      emailLogId,
+      type,
+      name,
+      address,
+      position
+    }));
+  });
+};
+
+// Group EmailRecipient rows back into { to, cc, bcc, replyTo }.
+// Emails stored before participants existed only have `recipient`.
+export const groupRecipientRows = (rows, fallbackRecipient = null) => {
+  const participants = { to: [], cc: [], bcc: [], replyTo: [] };
+  const fieldByType = Object.fromEntries(Object.entries(PARTICIPANT_FIELDS).map(([field, type]) => [type, field]));
+
+  [...rows]
+    .sort((a, b) => a.position - b.position)
+    .forEach(({ type, name, address }) => participants[fieldByType[type]].push({ name, address }));
+
+  if (participants.to.length === 0 && fallbackRecipient) {
+    participants.to.push({ name: null, address: fallbackRecipient });
+  }
+
+  return participants;
+};
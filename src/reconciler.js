@@ -0,0 +1,191 @@
+import { Op } from 'sequelize';
+import { sequelize, EmailLog, QueueOutbox } from './models.js';
+import { emailQueue, LIVE_STATES } from './queue.js';
+import { queueEmailJobs, dispatchOutbox, pruneOutbox } from './queueOutbox.js';
+
+// Periodic check that EmailLog rows and queue jobs agree. It finds
+//   orphaned emails - PENDING/THROTTLED rows with no live job and nothing waiting in the outbox
+//   orphaned jobs   - live jobs whose EmailLog row no longer exists
+//   stuck entries   - outbox entries that still haven't been dispatched
+// and, with RECONCILE_AUTO_REPAIR (on unless set to false), requeues and removes them.
+export const RECONCILE_INTERVAL = parseInt(process.env.RECONCILE_INTERVAL) || 5 * 60 * 1000;
+export const RECONCILE_AUTO_REPAIR = process.env.RECONCILE_AUTO_REPAIR !== 'false';
+
+// Rows and entries younger than this may still be on their way to the queue
+const GRACE_PERIOD = 60 * 1000;
+const OUTBOX_RETENTION = 7 * 24 * 60 * 60 * 1000;
+const MAX_REPORTED = 1000;
+
+let lastReport = null;
+
+// Rows and jobs are read this many at a time, so a large backlog doesn't have to fit in memory
+const PAGE_SIZE = 500;
+
+// PENDING/THROTTLED rows without a live job (job IDs are email IDs) or an outbox entry that
+// will queue one, paged through by id
+const findOrphanedEmails = async (before) => {
+  const orphaned = [];
+  let cursor = null;
+
+  while (orphaned.length < MAX_REPORTED) {
+    const candidates = await EmailLog.findAll({
+      where: {
+        status: ['PENDING', 'THROTTLED'],
+        updatedAt: { [Op.lt]: before },
+        ...(cursor && { id: { [Op.gt]: cursor } })
+      },
+      order: [['id', 'ASC']],
+      limit: PAGE_SIZE
+    });
+    if (candidates.length === 0) {
+      break;
+    }
+    cursor = candidates[candidates.length - 1].id;
+
+    const states = await Promise.all(candidates.map((emailLog) => emailQueue.getJobState(emailLog.id)));
+    const withoutJob = candidates.filter((emailLog, index) => !LIVE_STATES.includes(states[index]));
+
+    if (withoutJob.length > 0) {
+      const waiting = await QueueOutbox.findAll({
+        where: { dispatchedAt: null, action: ['ADD', 'UPDATE'], jobId: withoutJob.map((emailLog) => emailLog.id) },
+        attributes: ['jobId']
+      });
+      const waitingIds = new Set(waiting.map((entry) => entry.jobId));
+      orphaned.push(...withoutJob.filter((emailLog) => !waitingIds.has(emailLog.id)));
+    }
+
+    if (candidates.length < PAGE_SIZE) {
+      break;
+    }
+  }
+
+  return orphaned.slice(0, MAX_REPORTED);
+};
+
+// Live jobs whose EmailLog row no longer exists, a range of each state's jobs at a time. Jobs
+// changing state during the walk may be skipped; the next run picks them up.
+const findOrphanedJobs = async () => {
+  const orphaned = new Map();
+
+  for (const state of LIVE_STATES) {
+    for (let start = 0; orphaned.size < MAX_REPORTED; start += PAGE_SIZE) {
+      const page = await emailQueue.getJobs([state], start, start + PAGE_SIZE - 1, true);
+      const jobs = page.filter((job) => job && job.data && job.data.emailLogId);
+
+      if (jobs.length > 0) {
+        const existing = await EmailLog.findAll({
+          where: { id: [...new Set(jobs.map((job) => job.data.emailLogId))] },
+          attributes: ['id']
+        });
+        const existingIds = new Set(existing.map((emailLog) => emailLog.id));
+        for (const job of jobs) {
+          if (!existingIds.has(job.data.emailLogId)) {
+            orphaned.set(job.id, job);
+          }
+        }
+      }
+
+      if (page.length < PAGE_SIZE) {
+        break;
+      }
+    }
+  }
+
+  return [...orphaned.values()].slice(0, MAX_REPORTED);
+};
+
+// Compare rows, jobs and the outbox. With `repair`, orphaned emails are requeued, orphaned
+// jobs removed (unless they are running) and the outbox dispatched and pruned.
+export const reconcile = async ({ repair = false } = {}) => {
+  const startedAt = new Date();
+  const before = new Date(startedAt.getTime() - GRACE_PERIOD);
+
+  const [orphanedEmails, orphanedJobs, stuckEntries, outboxBacklog] = await Promise.all([
+    findOrphanedEmails(before),
+    findOrphanedJobs(),
+    QueueOutbox.findAll({
+      where: { dispatchedAt: null, createdAt: { [Op.lt]: before } },
+      order: [['id', 'ASC']],
+      limit: MAX_REPORTED
+    }),
+    QueueOutbox.count({ where: { dispatchedAt: null } })
+  ]);
+
+  const report = {
+    startedAt,
+    repaired: repair,
+    orphanedEmails: orphanedEmails.map((emailLog) => ({
+      id: emailLog.id,
+      status: emailLog.status,
+      senderId: emailLog.senderId,
+      scheduledAt: emailLog.scheduledAt
+    })),
+    orphanedJobs: orphanedJobs.map((job) => ({
+      jobId: job.id,
+      emailLogId: job.data.emailLogId
+    })),
+    stuckOutboxEntries: stuckEntries.map((entry) => ({
+      id: entry.id,
+      action: entry.action,
+      jobId: entry.jobId,
+      attempts: entry.attempts,
+      lastError: entry.lastError,
+      createdAt: entry.createdAt
+    })),
+    outboxBacklog
+  };
+
+  if (repair) {
+    const errors = [];
+
+    if (orphanedEmails.length > 0) {
+      await sequelize.transaction((transaction) => queueEmailJobs(orphanedEmails, transaction));
+    }
+
+    let removedJobs = 0;
+    for (const job of orphanedJobs) {
+      try {
+        if (await job.isActive()) continue;
+        await job.remove();
+        removedJobs++;
+      } catch (error) {
+        errors.push({ jobId: job.id, error: error.message });
+      }
+    }
+
+    const { dispatched, failed } = await dispatchOutbox();
+    const pruned = await pruneOutbox(OUTBOX_RETENTION);
+
+    report.repairs = {
+      requeuedEmails: orphanedEmails.length,
+      removedJobs,
+      dispatched,
+      failedDispatches: failed,
+      prunedOutboxEntries: pruned,
+      errors
+    };
+  }
+
+  report.finishedAt = new Date();
+
+  const found = orphanedEmails.length + orphanedJobs.length + stuckEntries.length;
+  if (found > 0) {
+    console.warn(`⚠️  Reconciliation found ${orphanedEmails.length} orphaned email(s), ${orphanedJobs.length} orphaned job(s), ${stuckEntries.length} stuck outbox entr${stuckEntries.length === 1 ? 'y' : 'ies'}${repair ? ', repaired' : ''}`);
+  }
+
+  return report;
+};
+
+// Report of the last periodic run, or null before the first one
+export const getLastReconciliation = () => lastReport;
+
+export const startReconciler = () => {
+  const run = async () => {
+    try {
+      lastReport = await reconcile({ repair: RECONCILE_AUTO_REPAIR });
+    } catch (error) {
+      console.error('Error reconciling queue:', error.message);
+    }
+  };
+  return setInterval(run, RECONCILE_INTERVAL);
+};
@@ -0,0 +1,266 @@
+import { CronExpressionParser } from 'cron-parser';
+import rrulePkg from 'rrule';
+import { DateTime } from 'luxon';
+import {
+  sequelize,
+  EmailLog,
+  EmailAttachment,
+  EmailRecipient,
+  Template,
+  RecurringSchedule
+} from './models.js';
+import { emailQueue } from './queue.js';
+import { queueEmailJob, queueJobRemoval, dispatchAfterCommit } from './queueOutbox.js';
+import { toRecipientRows } from './recipients.js';
+import { isValidTimezone, parseDateInZone } from './timezones.js';
+
+const { rrulestr } = rrulePkg;
+
+// Guard against rules that never produce a time after `after` (e.g. repeated DST gaps)
+const MAX_LOOKAHEAD_ITERATIONS = 16;
+
+// rrule has no real timezone support, so rules are evaluated on "floating" wall-clock
+// times stored as UTC components and converted back into the schedule's zone.
+const toFloating = (date, timezone) => {
+  const local = DateTime.fromJSDate(date, { zone: timezone });
+  return new Date(Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second));
+};
+
+// Luxon resolves wall-clock times skipped by DST forward and ambiguous ones to the earlier offset
+const fromFloating = (date, timezone) => {
+  return DateTime.fromObject({
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hour: date.getUTCHours(),
+    minute: date.getUTCMinutes(),
+    second: date.getUTCSeconds()
+  }, { zone: timezone }).toJSDate();
+};
+
+const parseRrule = (expression, startAt, timezone) => {
+  const rule = expression.trim().replace(/^RRULE:/i, '');
+  return rrulestr(rule, { dtstart: toFloating(startAt, timezone) });
+};
+
+// Validate a recurrence definition; returns an error message or null
+export const validateRecurrence = ({ type, expression, timezone }) => {
+  if (!['CRON', 'RRULE'].includes(type)) {
+    return 'recurrence must contain either a cron or an rrule expression';
+  }
+
+  if (!expression || typeof expression !== 'string') {
+    return 'recurrence expression must be a non-empty string';
+  }
+
+  if (!isValidTimezone(timezone)) {
+    return `Unknown timezone: ${timezone}`;
+  }
+
+  try {
+    if (type === 'CRON') {
+      CronExpressionParser.parse(expression, { tz: timezone });
+    } else {
+      if (/DTSTART|TZID/i.test(expression)) {
+        return 'Set the start time and timezone with scheduledAt and timezone instead of DTSTART/TZID';
+      }
+      parseRrule(expression, new Date(), timezone);
+    }
+  } catch (error) {
+    return `Invalid ${type.toLowerCase()} expression: ${error.message}`;
+  }
+
+  return null;
+};
+
+// Next occurrence strictly after `after`, or null when the rule is exhausted
+export const nextOccurrence = ({ recurrenceType, expression, timezone, startAt }, after) => {
+  const from = after < startAt ? new Date(startAt.getTime() - 1000) : after;
+
+  if (recurrenceType === 'CRON') {
+    const interval = CronExpressionParser.parse(expression, { currentDate: from, tz: timezone });
+    return interval.hasNext() ? interval.next().toDate() : null;
+  }
+
+  const rule = parseRrule(expression, startAt, timezone);
+  let cursor = toFloating(from, timezone);
+
+  for (let i = 0; i < MAX_LOOKAHEAD_ITERATIONS; i++) {
+    const floating = rule.after(cursor, false);
+    if (!floating) {
+      return null;
+    }
+
+    const occurrence = fromFloating(floating, timezone);
+    if (occurrence > from) {
+      return occurrence;
+    }
+    cursor = floating;
+  }
+
+  return null;
+};
+
+// Create the next occurrence (EmailLog row + delayed job) of an active schedule.
+// Marks the schedule COMPLETED when it runs past its end date or count.
+export const scheduleNextOccurrence = async (schedule, after = new Date(), transaction) => {
+  if (schedule.status !== 'ACTIVE') {
+    return null;
+  }
+
+  const exhausted = schedule.maxOccurrences && schedule.occurrenceCount >= schedule.maxOccurrences;
+  const next = exhausted ? null : nextOccurrence(schedule, after);
+
+  if (!next || (schedule.endAt && next > schedule.endAt)) {
+    await schedule.update({
+      status: 'COMPLETED',
+      nextRunAt: null,
+      currentOccurrenceId: null
+    }, { transaction });
+    console.log(`🔁 Recurring schedule ${schedule.id} completed after ${schedule.occurrenceCount} occurrence(s)`);
+    return null;
+  }
+
+  // Pin the template version in use when the occurrence is created
+  let templateVersion = null;
+  if (schedule.templateId) {
+    const template = await Template.findByPk(schedule.templateId, { transaction });
+    templateVersion = template ? template.currentVersion : null;
+  }
+
+  const emailLog = await EmailLog.create({
+    recipient: schedule.recipient,
+    subject: schedule.subject,
+    body: schedule.body,
+    html: schedule.html,
+    senderId: schedule.senderId,
+    workspaceId: schedule.workspaceId,
+    scheduledAt: next,
+    status: 'PENDING',
+    delayBetweenEmails: schedule.delayBetweenEmails,
+    hourlyLimit: schedule.hourlyLimit,
+    recurringScheduleId: schedule.id,
+    templateId: schedule.templateId,
+    templateVersion,
+    variables: schedule.variables,
+    sendingAccountId: schedule.sendingAccountId,
+    apiKeyId: schedule.apiKeyId,
+    trackingEnabled: schedule.trackingEnabled,
+    timezone: schedule.timezone,
+    recipientTimezone: schedule.recipientTimezone,
+    sendWindow: schedule.sendWindow
+  }, { transaction });
+
+  if (schedule.participants) {
+    await EmailRecipient.bulkCreate(toRecipientRows(emailLog.id, schedule.participants), { transaction });
+  }
+
+  if (schedule.attachmentIds && schedule.attachmentIds.length > 0) {
+    await EmailAttachment.bulkCreate(
+      schedule.attachmentIds.map((attachmentId) => ({ emailLogId: emailLog.id, attachmentId })),
+      { transaction }
+    );
+  }
+
+  await schedule.update({
+    occurrenceCount: schedule.occurrenceCount + 1,
+    nextRunAt: next,
+    currentOccurrenceId: emailLog.id
+  }, { transaction });
+
+  // The job goes through the outbox, so it is only enqueued once the row is committed
+  await queueEmailJob(emailLog, transaction);
+  dispatchAfterCommit(transaction);
+
+  console.log(`🔁 Recurring schedule ${schedule.id}: occurrence ${schedule.occurrenceCount} at ${next.toISOString()}`);
+
+  return emailLog;
+};
+
+// Called by the worker when an occurrence becomes due, and when the upcoming occurrence is
+// deleted, so the series goes on: materialize the following one, in `transaction` when given.
+// The row lock and currentOccurrenceId check make this safe against retries and concurrent workers.
+export const advanceRecurringSchedule = async (emailLog, transaction = null) => {
+  if (!transaction) {
+    return sequelize.transaction((transaction) => advanceRecurringSchedule(emailLog, transaction));
+  }
+
+  const schedule = await RecurringSchedule.findByPk(emailLog.recurringScheduleId, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  if (!schedule || schedule.currentOccurrenceId !== emailLog.id) {
+    return null;
+  }
+
+  const after = new Date(Math.max(emailLog.scheduledAt.getTime(), Date.now()));
+  return scheduleNextOccurrence(schedule, after, transaction);
+};
+
+// Cancel the schedule's upcoming occurrence unless it is already being sent. The row change
+// and the job removal (through the outbox) are part of `transaction`.
+export const cancelPendingOccurrence = async (schedule, transaction) => {
+  if (!schedule.currentOccurrenceId) {
+    return false;
+  }
+
+  const emailLog = await EmailLog.findByPk(schedule.currentOccurrenceId, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  if (!emailLog || !['PENDING', 'THROTTLED'].includes(emailLog.status)) {
+    return false;
+  }
+
+  const job = await emailQueue.getJob(emailLog.id);
+  if (job && await job.isActive()) {
+    return false;
+  }
+
+  await emailLog.update({ status: 'CANCELLED' }, { transaction });
+  await queueJobRemoval(emailLog.id, transaction);
+  dispatchAfterCommit(transaction);
+  return true;
+};
+
+// Turn the `recurrence` object accepted by /schedule into schedule fields.
+// Shape: { cron | rrule, timezone?, endDate?, count? }; returns { error } when invalid.
+// `defaultTimezone` applies when the recurrence doesn't name its own zone
+export const parseRecurrenceInput = (recurrence, defaultTimezone = 'UTC') => {
+  if (typeof recurrence !== 'object' || recurrence === null || Array.isArray(recurrence)) {
+    return { error: 'recurrence must be an object' };
+  }
+
+  const { cron, rrule, timezone = defaultTimezone, endDate, count } = recurrence;
+
+  if (cron && rrule) {
+    return { error: 'recurrence accepts either cron or rrule, not both' };
+  }
+
+  const recurrenceType = cron ? 'CRON' : rrule ? 'RRULE' : null;
+  const expression = cron || rrule;
+
+  const error = validateRecurrence({ type: recurrenceType, expression, timezone });
+  if (error) {
+    return { error };
+  }
+
+  let endAt = null;
+  if (endDate) {
+    endAt = parseDateInZone(endDate, timezone);
+    if (!endAt) {
+      return { error: 'Invalid recurrence endDate format' };
+    }
+  }
+
+  let maxOccurrences = null;
+  if (count !== undefined && count !== null) {
+    maxOccurrences = parseInt(count);
+    if (!Number.isInteger(maxOccurrences) || maxOccurrences < 1) {
+      return { error: 'recurrence count must be a positive integer' };
+    }
+  }
+
+  return { recurrenceType, expression, timezone, endAt, maxOccurrences };
+};
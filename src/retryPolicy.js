@@ -0,0 +1,33 @@
+import { UnrecoverableError } from 'bullmq';
+
+// SMTP reply codes that end an email's retries (PERMANENT) or are worth retrying (TRANSIENT).
+// Entries are exact codes ("552") or classes ("5xx"); an exact code wins over a class, e.g.
+// RETRY_TRANSIENT_SMTP_CODES=4xx,552 retries "mailbox full" despite 5xx being permanent.
+const parseCodes = (value) => value.split(',').map((code) => code.trim().toLowerCase()).filter(Boolean);
+
+export const PERMANENT_SMTP_CODES = parseCodes(process.env.RETRY_PERMANENT_SMTP_CODES || '5xx');
+export const TRANSIENT_SMTP_CODES = parseCodes(process.env.RETRY_TRANSIENT_SMTP_CODES || '4xx');
+
+// 'PERMANENT' or 'TRANSIENT'. Errors without an SMTP code (timeouts, refused connections)
+// are transient unless the worker marked them unrecoverable itself.
+export const classifyFailure = (error) => {
+  if (error instanceof UnrecoverableError) {
+    return 'PERMANENT';
+  }
+
+  if (!error.responseCode) {
+    return 'TRANSIENT';
+  }
+
+  const code = String(error.responseCode);
+  const codeClass = `${code[0]}xx`;
+
+  for (const candidate of [code, codeClass]) {
+    if (TRANSIENT_SMTP_CODES.includes(candidate)) return 'TRANSIENT';
+    if (PERMANENT_SMTP_CODES.includes(candidate)) return 'PERMANENT';
+  }
+
+  return 'TRANSIENT';
+};
+
+export const isPermanentFailure = (error) => classifyFailure(error) === 'PERMANENT';
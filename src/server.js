@@ -3,15 +3,172 @@ import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import { OAuth2Client } from 'google-auth-library';
-import jwt from 'jsonwebtoken';
 import axios from 'axios';
-import { emailQueue } from './queue.js';
-import { EmailLog, syncDatabase } from './models.js';
+import multer from 'multer';
+import { Op } from 'sequelize';
+import { v4 as uuidv4 } from 'uuid';
+import { emailQueue, findLiveJob } from './queue.js';
+import {
+  authenticateToken,
+  authenticateScope,
+  requireUserSession,
+  requireAdmin,
+  createSession,
+  rotateRefreshToken,
+  verifyAccessToken,
+  findSessionId,
+  revokeSession,
+  revokeAllSessions
+} from './auth.js';
+import {
+  parsePageSize,
+  encodeCursor,
+  decodeCursor,
+  cursorCondition,
+  cursorOrder
+} from './pagination.js';
+import {
+  sequelize,
+  EmailLog,
+  Campaign,
+  Template,
+  TemplateVersion,
+  RecurringSchedule,
+  Attachment,
+  EmailAttachment,
+  SendingAccount,
+  Webhook,
+  WebhookDelivery,
+  EmailEvent,
+  Suppression,
+  EmailRecipient,
+  DeliveryAttempt,
+  User,
+  ApiKey,
+  ApiKeyActivity,
+  Workspace,
+  WorkspaceMember,
+  syncDatabase
+} from './models.js';
+import {
+  EMAIL_REGEX,
+  parseRecipientCsv,
+  normalizeRecipientList,
+  validateRecipients,
+  resolveParticipants,
+  toRecipientRows,
+  groupRecipientRows
+} from './recipients.js';
+import {
+  extractPlaceholders,
+  findMissingVariables,
+  validateVariables,
+  renderTemplate
+} from './templates.js';
+import { resolveBodyParts, sanitizeEmailHtml, htmlToPlainText, escapeHtml } from './content.js';
+import {
+  attachmentUpload,
+  resolveAttachmentIds,
+  serializeAttachment,
+  removeStoredFile
+} from './attachments.js';
+import { encrypt } from './crypto.js';
+import { createAccountTransporter } from './mailer.js';
+import {
+  EMAIL_TRANSPORT,
+  checkCaptureAccess,
+  listCapturedMessages,
+  getCapturedMessage,
+  clearCapturedMessages
+} from './transports.js';
+import {
+  WEBHOOK_EVENTS,
+  WEBHOOK_SECRET_MIN_LENGTH,
+  WEBHOOK_SECRET_MAX_LENGTH,
+  generateWebhookSecret,
+  resolveWebhookHost,
+  deliverWebhook,
+  emitEventSafely
+} from './webhooks.js';
+import {
+  SUPPRESSION_REASONS,
+  normalizeEmail,
+  findSuppression,
+  findSuppressions,
+  suppress,
+  parseUnsubscribeToken
+} from './suppressions.js';
+import {
+  TRACKING_PIXEL,
+  verifyOpenSignature,
+  verifyClickSignature
+} from './tracking.js';
+import {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  parseDateInZone,
+  formatInZone,
+  parseSendWindow,
+  nextSendWindowStart
+} from './timezones.js';
+import {
+  parseRecurrenceInput,
+  nextOccurrence,
+  scheduleNextOccurrence,
+  advanceRecurringSchedule,
+  cancelPendingOccurrence
+} from './recurrence.js';
+import {
+  upsertUserFromLogin,
+  findUserForToken,
+  serializeUser,
+  getQuotas,
+  resolveSendCaps,
+  getUsage,
+  resolveHourlyLimit,
+  checkSchedulingQuotas,
+  checkStorageQuota
+} from './users.js';
+import { parseScopes, createApiKey, serializeApiKey } from './apiKeys.js';
+import {
+  findMembership,
+  workspaceAccess,
+  ownerScope,
+  modifiableScope,
+  canModify,
+  serializeWorkspace,
+  serializeMember
+} from './workspaces.js';
+import { reconcile, getLastReconciliation, startReconciler } from './reconciler.js';
+import { getScopedQueueStats, getGlobalQueueStats, ADMIN_JOB_STATES } from './queueStats.js';
+import {
+  readIdempotencyKey,
+  findIdempotentResponse,
+  recordIdempotentResponse,
+  isIdempotencyConflict,
+  startIdempotencyKeyCleanup
+} from './idempotency.js';
+import {
+  queueEmailJobUpdate,
+  queueEmailJob,
+  queueEmailJobs,
+  queueJobRemoval,
+  dispatchAfterCommit,
+  startOutboxDispatcher
+} from './queueOutbox.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
+const MAX_CAMPAIGN_RECIPIENTS = parseInt(process.env.MAX_CAMPAIGN_RECIPIENTS) || 5000;
+
+// CSV uploads are small and parsed in memory
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }
+});
+
 // Middleware
 app.use(cors({
   origin: '*',
@@ -61,18 +218,18 @@ app.post('/api/auth/google', async (req, res) => {
       };
     }
 
-    const appToken = jwt.sign(
-      { userId: user.id, email: user.email, name: user.name, avatar: user.avatar },
-      process.env.JWT_SECRET || 'your-secret-key-change-this-in-production',
-      { expiresIn: '7d' }
-    );
+    const account = await upsertUserFromLogin(user);
+    const session = await createSession(account, { userAgent: req.headers['user-agent'] });
 
     console.log('✅ User authenticated:', user.email);
 
     res.json({
       success: true,
       user: user,
-      token: appToken
+      token: session.accessToken,
+      expiresIn: session.expiresIn,
+      refreshToken: session.refreshToken,
+      refreshTokenExpiresAt: session.refreshTokenExpiresAt
     });
 
   } catch (error) {
@@ -86,14 +243,18 @@ app.post('/api/auth/google', async (req, res) => {
 });
 
 // Verify token endpoint
-app.post('/api/auth/verify', (req, res) => {
+app.post('/api/auth/verify', async (req, res) => {
   const { token } = req.body;
 
   try {
-    const decoded = jwt.verify(
-      token,
-      process.env.JWT_SECRET || 'your-secret-key-change-this-in-production'
-    );
+    const decoded = await verifyAccessToken(token);
+
+    if (!decoded) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired token'
+      });
+    }
 
     res.json({
       success: true,
@@ -105,320 +266,4651 @@ app.post('/api/auth/verify', (req, res) => {
       }
     });
   } catch (error) {
-    res.status(401).json({
+    console.error('Error verifying token:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify token',
+      message: error.message
+    });
+  }
+});
+
+// Exchange a refresh token for a new access token and refresh token
+app.post('/api/auth/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required field: refreshToken'
+    });
+  }
+
+  try {
+    const { session, error } = await rotateRefreshToken(refreshToken, { userAgent: req.headers['user-agent'] });
+
+    if (error) {
+      return res.status(401).json({
+        success: false,
+        error
+      });
+    }
+
+    res.json({
+      success: true,
+      token: session.accessToken,
+      expiresIn: session.expiresIn,
+      refreshToken: session.refreshToken,
+      refreshTokenExpiresAt: session.refreshTokenExpiresAt
+    });
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({
       success: false,
-      error: 'Invalid or expired token'
+      error: 'Failed to refresh token',
+      message: error.message
     });
   }
 });
 
-// Middleware to verify JWT token
-function authenticateToken(req, res, next) {
+// End the session of a refresh token, or of the access token in the Authorization header
+app.post('/api/auth/logout', async (req, res) => {
+  const { refreshToken } = req.body || {};
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+  const accessToken = authHeader && authHeader.split(' ')[1];
 
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
+  if (!refreshToken && !accessToken) {
+    return res.status(400).json({
+      success: false,
+      error: 'Provide a refreshToken or an Authorization header'
+    });
   }
 
-  jwt.verify(
-    token,
-    process.env.JWT_SECRET || 'your-secret-key-change-this-in-production',
-    (err, user) => {
-      if (err) {
-        return res.status(403).json({ error: 'Invalid or expired token' });
-      }
-      req.user = user;
-      next();
+  try {
+    const sessionId = refreshToken
+      ? await findSessionId(refreshToken)
+      : (await verifyAccessToken(accessToken))?.sid;
+
+    // Logging out of an unknown or already ended session is not an error
+    if (sessionId) {
+      await revokeSession(sessionId, 'LOGOUT');
+      console.log(`👋 Session ${sessionId} logged out`);
     }
-  );
-}
 
-// Protected route example
-app.get('/api/user/profile', authenticateToken, (req, res) => {
-  res.json({
-    success: true,
-    user: req.user
-  });
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log out',
+      message: error.message
+    });
+  }
 });
 
-// ============= EMAIL SCHEDULING ROUTES =============
+// Revoke every session of the current user, including this one
+app.post('/api/auth/logout-all', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const revokedSessions = await revokeAllSessions(req.user.userId);
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    message: 'Email Scheduler API is running',
-    timestamp: new Date().toISOString()
-  });
+    console.log(`👋 Revoked ${revokedSessions} session(s) for user ${req.user.userId}`);
+
+    res.json({
+      success: true,
+      message: 'All sessions revoked',
+      revokedSessions
+    });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke sessions',
+      message: error.message
+    });
+  }
 });
 
-// POST /schedule - Schedule an email (protected)
-app.post('/schedule', authenticateToken, async (req, res) => {
+// Protected route example
+// Also returns the sender's stored profile, default sending settings and quotas
+app.get('/api/user/profile', authenticateToken, async (req, res) => {
   try {
-    const { recipient, subject, body, scheduledAt, delayBetweenEmails, hourlyLimit } = req.body;
-    const senderId = req.user.userId;
-    
-    // Validate required fields (scheduledAt is now optional)
-    if (!recipient || !subject || !body) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields: recipient, subject, body'
-      });
-    }
-    
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(recipient)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid email format for recipient'
-      });
-    }
-    
-    // Handle scheduling
-    let scheduledTime;
-    let delay = 0; // Default to immediate send
-    
-    if (scheduledAt) {
-      // Parse and validate scheduledAt
-      scheduledTime = new Date(scheduledAt);
-      if (isNaN(scheduledTime.getTime())) {
+    const user = await findUserForToken(req.user);
+
+    res.json({
+      success: true,
+      user: req.user,
+      profile: serializeUser(user),
+      preferences: {
+        timezone: user.timezone || DEFAULT_TIMEZONE
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch profile',
+      message: error.message
+    });
+  }
+});
+
+// Update the sender's timezone and default sending settings. Quotas are not user-editable.
+app.put('/api/user/profile', authenticateToken, async (req, res) => {
+  try {
+    const { timezone, defaults = {} } = req.body;
+    const user = await findUserForToken(req.user);
+    const updates = {};
+
+    if (timezone !== undefined) {
+      if (timezone !== null && !isValidTimezone(timezone)) {
         return res.status(400).json({
           success: false,
-          error: 'Invalid scheduledAt date format'
+          error: 'timezone must be an IANA timezone such as Europe/Berlin, or null'
         });
       }
-      
-      // Calculate delay
-      const now = Date.now();
-      delay = scheduledTime.getTime() - now;
-      
-      if (delay < 0) {
+      updates.timezone = timezone;
+    }
+
+    if (defaults.delayBetweenEmails !== undefined) {
+      const delay = parseInt(defaults.delayBetweenEmails);
+      if (!Number.isInteger(delay) || delay < 0) {
         return res.status(400).json({
           success: false,
-          error: 'Scheduled time must be in the future'
+          error: 'defaults.delayBetweenEmails must be a non-negative number of seconds'
         });
       }
-    } else {
-      // Send immediately - use current time
-      scheduledTime = new Date();
+      updates.defaultDelayBetweenEmails = delay;
     }
-    
-    // Save to database with user-defined settings
-    const emailLog = await EmailLog.create({
-      recipient,
-      subject,
-      body,
-      senderId,
-      scheduledAt: scheduledTime,
-      status: 'PENDING',
-      delayBetweenEmails: delayBetweenEmails || 0,
-      hourlyLimit: hourlyLimit || 10
-    });
-    
-    // Add job to BullMQ queue with delay (0 for immediate)
-    const job = await emailQueue.add(
-      'send-email',
-      {
-        emailLogId: emailLog.id,
-        recipient,
-        subject,
-        body,
-        senderId,
-        delayBetweenEmails: emailLog.delayBetweenEmails,
-        hourlyLimit: emailLog.hourlyLimit
-      },
-      {
-        delay,
-        jobId: emailLog.id
+
+    if (defaults.hourlyLimit !== undefined) {
+      if (defaults.hourlyLimit === null) {
+        updates.defaultHourlyLimit = null;
+      } else {
+        const resolved = resolveHourlyLimit(defaults.hourlyLimit, user);
+        if (resolved.error) {
+          return res.status(400).json({ success: false, error: `defaults.${resolved.error}` });
+        }
+        updates.defaultHourlyLimit = resolved.hourlyLimit;
       }
-    );
-    
-    const message = delay === 0 ? 'Email queued for immediate sending' : 'Email scheduled successfully';
-    console.log(`${message}: ${emailLog.id}, Job ID: ${job.id}, Delay: ${delay}ms, DelayBetweenEmails: ${emailLog.delayBetweenEmails}s, HourlyLimit: ${emailLog.hourlyLimit}`);
-    
+    }
+
+    if (defaults.trackingEnabled !== undefined) {
+      updates.defaultTrackingEnabled = defaults.trackingEnabled === true || defaults.trackingEnabled === 'true';
+    }
+
+    await user.update(updates);
+
+    res.json({
+      success: true,
+      user: req.user,
+      profile: serializeUser(user),
+      preferences: {
+        timezone: user.timezone || DEFAULT_TIMEZONE
+      }
+    });
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update profile',
+      message: error.message
+    });
+  }
+});
+
+// Consumption against the sender's quotas
+app.get('/api/user/usage', authenticateToken, async (req, res) => {
+  try {
+    const user = await findUserForToken(req.user);
+    const usage = await getUsage(user);
+
+    res.json({
+      success: true,
+      quotas: getQuotas(user),
+      usage
+    });
+  } catch (error) {
+    console.error('Error fetching usage:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch usage',
+      message: error.message
+    });
+  }
+});
+
+// ============= API KEY ROUTES =============
+// Keys can't manage keys: these routes need a signed-in user
+
+// POST /api/keys - Create an API key; the key is only returned here (protected)
+app.post('/api/keys', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: name'
+      });
+    }
+
+    const { scopes, error } = parseScopes(req.body.scopes);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const { apiKey, key } = await createApiKey(req.user.userId, { name: name.trim(), scopes });
+
+    console.log(`🔑 API key created: ${apiKey.id} (${apiKey.name}, scopes: ${scopes.join(', ')})`);
+
     return res.status(201).json({
       success: true,
-      message,
+      message: 'API key created successfully. Store the key now, it will not be shown again.',
       data: {
-        emailLogId: emailLog.id,
-        jobId: job.id,
-        recipient,
-        scheduledAt: scheduledTime,
-        delay,
-        delayBetweenEmails: emailLog.delayBetweenEmails,
-        hourlyLimit: emailLog.hourlyLimit,
-        status: 'PENDING'
+        ...serializeApiKey(apiKey),
+        key
       }
     });
-    
   } catch (error) {
-    console.error('Error scheduling email:', error);
+    console.error('Error creating API key:', error);
     return res.status(500).json({
       success: false,
-      error: 'Failed to schedule email',
+      error: 'Failed to create API key',
       message: error.message
     });
   }
 });
 
-// GET /emails - Get all email logs (protected, filtered by user and optional status)
-app.get('/emails', authenticateToken, async (req, res) => {
+// GET /api/keys - List API keys, including revoked ones (protected)
+app.get('/api/keys', authenticateToken, requireUserSession, async (req, res) => {
   try {
-    const senderId = req.user.userId;
-    const { status } = req.query;
-    
-    const where = { senderId };
-    if (status) {
-      where.status = status;
-    }
-    
-    const emails = await EmailLog.findAll({
-      where,
-      order: [['createdAt', 'DESC']],
-      limit: 100
+    const apiKeys = await ApiKey.findAll({
+      where: { userId: req.user.userId },
+      order: [['createdAt', 'DESC']]
     });
-    
+
     return res.json({
       success: true,
-      count: emails.length,
-      data: emails
+      count: apiKeys.length,
+      data: apiKeys.map(serializeApiKey)
     });
   } catch (error) {
-    console.error('Error fetching emails:', error);
+    console.error('Error fetching API keys:', error);
     return res.status(500).json({
       success: false,
-      error: 'Failed to fetch emails',
+      error: 'Failed to fetch API keys',
       message: error.message
     });
   }
 });
 
-// GET /emails/:id - Get specific email log (protected)
-app.get('/emails/:id', authenticateToken, async (req, res) => {
+// GET /api/keys/:id/activity - Create/change/delete requests made with a key, newest first (protected)
+// Optional: ?limit= (max 200)
+app.get('/api/keys/:id/activity', authenticateToken, requireUserSession, async (req, res) => {
   try {
-    const { id } = req.params;
-    const senderId = req.user.userId;
-    
-    const emailLog = await EmailLog.findOne({
-      where: { id, senderId }
+    const apiKey = await ApiKey.findOne({
+      where: { id: req.params.id, userId: req.user.userId }
     });
-    
-    if (!emailLog) {
+
+    if (!apiKey) {
       return res.status(404).json({
         success: false,
-        error: 'Email log not found'
+        error: 'API key not found'
       });
     }
-    
+
+    const activities = await ApiKeyActivity.findAll({
+      where: { apiKeyId: apiKey.id },
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit: Math.min(parseInt(req.query.limit) || 50, 200),
+      attributes: ['id', 'method', 'path', 'statusCode', 'createdAt']
+    });
+
     return res.json({
       success: true,
-      data: emailLog
+      count: activities.length,
+      data: activities
     });
   } catch (error) {
-    console.error('Error fetching email:', error);
+    console.error('Error fetching API key activity:', error);
     return res.status(500).json({
       success: false,
-      error: 'Failed to fetch email',
+      error: 'Failed to fetch API key activity',
       message: error.message
     });
   }
 });
 
-// DELETE /emails/:id - Delete specific email log (protected)
-app.delete('/emails/:id', authenticateToken, async (req, res) => {
+// DELETE /api/keys/:id - Revoke an API key; it stays listed for auditing (protected)
+app.delete('/api/keys/:id', authenticateToken, requireUserSession, async (req, res) => {
   try {
-    const { id } = req.params;
-    const senderId = req.user.userId;
-    
-    const emailLog = await EmailLog.findOne({
-      where: { id, senderId }
+    const apiKey = await ApiKey.findOne({
+      where: { id: req.params.id, userId: req.user.userId }
     });
-    
-    if (!emailLog) {
+
+    if (!apiKey) {
       return res.status(404).json({
         success: false,
-        error: 'Email log not found'
+        error: 'API key not found'
       });
     }
 
-    // Remove job from queue if it exists
-    try {
-      const job = await emailQueue.getJob(id);
-      if (job) {
-        await job.remove();
-        console.log(`Removed job ${id} from queue`);
-      }
-    } catch (err) {
-      console.log('Job not found in queue or already processed');
+    if (!apiKey.revokedAt) {
+      await apiKey.update({ revokedAt: new Date() });
+      console.log(`🔑 API key revoked: ${apiKey.id} (${apiKey.name})`);
     }
-    
-    await emailLog.destroy();
-    
+
     return res.json({
       success: true,
-      message: 'Email deleted successfully'
+      message: 'API key revoked successfully',
+      data: serializeApiKey(apiKey)
     });
   } catch (error) {
-    console.error('Error deleting email:', error);
+    console.error('Error revoking API key:', error);
     return res.status(500).json({
       success: false,
-      error: 'Failed to delete email',
+      error: 'Failed to revoke API key',
+      message: error.message
+    });
+  }
+});
+
+// ============= WORKSPACE ROUTES =============
+// Members select a workspace per request with the X-Workspace-Id header
+
+// Validate workspace settings. Returns { error } or { values } ready for the model.
+const parseWorkspaceInput = (input, { partial = false } = {}) => {
+  const values = {};
+
+  if (input.name !== undefined || !partial) {
+    if (!input.name || typeof input.name !== 'string') {
+      return { error: 'name must be a non-empty string' };
+    }
+    values.name = input.name.trim();
+  }
+
+  for (const field of ['hourlyLimit', 'dailyLimit']) {
+    if (input[field] !== undefined) {
+      const limit = input[field] === null ? null : parseInt(input[field]);
+      if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+        return { error: `${field} must be a positive integer or null` };
+      }
+      values[field] = limit;
+    }
+  }
+
+  return { values };
+};
+
+// Roles that can be granted by invitation or role change; there is one owner
+const ASSIGNABLE_ROLES = ['ADMIN', 'EDITOR', 'VIEWER'];
+
+// POST /workspaces - Create a workspace owned by the caller (protected)
+app.post('/workspaces', authenticateToken, async (req, res) => {
+  try {
+    const { values, error } = parseWorkspaceInput(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const workspace = await sequelize.transaction(async (transaction) => {
+      const workspace = await Workspace.create({ ...values, ownerId: req.user.userId }, { transaction });
+      await WorkspaceMember.create({
+        workspaceId: workspace.id,
+        userId: req.user.userId,
+        email: normalizeEmail(req.user.email),
+        role: 'OWNER',
+        status: 'ACTIVE',
+        joinedAt: new Date()
+      }, { transaction });
+      return workspace;
+    });
+
+    console.log(`👥 Workspace created: ${workspace.id} (${workspace.name})`);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Workspace created successfully',
+      data: serializeWorkspace(workspace, 'OWNER')
+    });
+  } catch (error) {
+    console.error('Error creating workspace:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create workspace',
       message: error.message
     });
   }
 });
 
-// GET /queue/stats - Get queue statistics (protected)
-app.get('/queue/stats', authenticateToken, async (req, res) => {
+// GET /workspaces - Workspaces the caller belongs to, and invitations waiting for them (protected)
+app.get('/workspaces', authenticateToken, async (req, res) => {
   try {
-    const [waiting, active, completed, failed, delayed] = await Promise.all([
-      emailQueue.getWaitingCount(),
-      emailQueue.getActiveCount(),
-      emailQueue.getCompletedCount(),
-      emailQueue.getFailedCount(),
-      emailQueue.getDelayedCount()
+    const [memberships, invitations] = await Promise.all([
+      WorkspaceMember.findAll({
+        where: { userId: req.user.userId, status: 'ACTIVE' },
+        include: [{ model: Workspace, as: 'workspace' }],
+        order: [['createdAt', 'ASC']]
+      }),
+      WorkspaceMember.findAll({
+        where: { email: normalizeEmail(req.user.email), status: 'INVITED' },
+        include: [{ model: Workspace, as: 'workspace' }],
+        order: [['createdAt', 'ASC']]
+      })
     ]);
-    
+
     return res.json({
       success: true,
-      stats: {
-        waiting,
-        active,
-        completed,
-        failed,
-        delayed,
-        total: waiting + active + delayed
-      }
+      count: memberships.length,
+      data: memberships.map((member) => serializeWorkspace(member.workspace, member.role)),
+      invitations: invitations.map((member) => ({
+        ...serializeWorkspace(member.workspace, member.role),
+        invitedBy: member.invitedBy
+      }))
     });
   } catch (error) {
-    console.error('Error fetching queue stats:', error);
+    console.error('Error fetching workspaces:', error);
     return res.status(500).json({
       success: false,
-      error: 'Failed to fetch queue stats',
+      error: 'Failed to fetch workspaces',
       message: error.message
     });
   }
 });
 
-// Initialize database and start server
-const startServer = async () => {
+// GET /workspaces/:id - A workspace and its members (protected)
+app.get('/workspaces/:id', authenticateToken, async (req, res) => {
   try {
-    await syncDatabase();
+    const { workspace, member, status, error } = await findMembership(req.params.id, req.user.userId);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    const members = await WorkspaceMember.findAll({
+      where: { workspaceId: workspace.id },
+      order: [['createdAt', 'ASC']]
+    });
+
+    return res.json({
+      success: true,
+      data: {
+        ...serializeWorkspace(workspace, member.role),
+        members: members.map(serializeMember)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching workspace:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch workspace',
+      message: error.message
+    });
+  }
+});
+
+// PATCH /workspaces/:id - Rename or change the shared limits; owner only (protected)
+app.patch('/workspaces/:id', authenticateToken, async (req, res) => {
+  try {
+    const { workspace, member, status, error } = await findMembership(req.params.id, req.user.userId, 'OWNER');
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    const { values, error: inputError } = parseWorkspaceInput(req.body, { partial: true });
+    if (inputError) {
+      return res.status(400).json({
+        success: false,
+        error: inputError
+      });
+    }
+
+    await workspace.update(values);
+
+    return res.json({
+      success: true,
+      message: 'Workspace updated successfully',
+      data: serializeWorkspace(workspace, member.role)
+    });
+  } catch (error) {
+    console.error('Error updating workspace:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update workspace',
+      message: error.message
+    });
+  }
+});
+
+// POST /workspaces/:id/members - Invite someone by email; admins and owners (protected)
+// Only the owner can invite admins. The invitee accepts with POST /workspaces/:id/accept.
+app.post('/workspaces/:id/members', authenticateToken, async (req, res) => {
+  try {
+    const { workspace, member, status, error } = await findMembership(req.params.id, req.user.userId, 'ADMIN');
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    const { email, role = 'EDITOR' } = req.body;
+
+    if (!email || !EMAIL_REGEX.test(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid email is required'
+      });
+    }
+
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`
+      });
+    }
+
+    if (role === 'ADMIN' && member.role !== 'OWNER') {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the owner can invite admins'
+      });
+    }
+
+    const [invitation, created] = await WorkspaceMember.findOrCreate({
+      where: { workspaceId: workspace.id, email: normalizeEmail(email) },
+      defaults: { role, status: 'INVITED', invitedBy: req.user.userId }
+    });
+
+    if (!created) {
+      return res.status(409).json({
+        success: false,
+        error: invitation.status === 'ACTIVE' ? 'Already a member of this workspace' : 'Already invited',
+        data: serializeMember(invitation)
+      });
+    }
+
+    console.log(`👥 ${invitation.email} invited to workspace ${workspace.id} as ${role}`);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Invitation created successfully',
+      data: serializeMember(invitation)
+    });
+  } catch (error) {
+    console.error('Error inviting member:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to invite member',
+      message: error.message
+    });
+  }
+});
+
+// POST /workspaces/:id/accept - Accept an invitation sent to the caller's email (protected)
+// The email must have been verified by Google at the caller's last login.
+app.post('/workspaces/:id/accept', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.userId, { attributes: ['id', 'email', 'emailVerified'] });
+
+    if (!user || !user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        error: 'Sign in with a verified Google email to accept invitations'
+      });
+    }
+
+    const invitation = await WorkspaceMember.findOne({
+      where: { workspaceId: req.params.id, email: normalizeEmail(user.email), status: 'INVITED' },
+      include: [{ model: Workspace, as: 'workspace' }]
+    });
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invitation not found'
+      });
+    }
+
+    await invitation.update({ userId: req.user.userId, status: 'ACTIVE', joinedAt: new Date() });
+
+    console.log(`👥 ${invitation.email} joined workspace ${invitation.workspaceId} as ${invitation.role}`);
+
+    return res.json({
+      success: true,
+      message: 'Invitation accepted',
+      data: serializeWorkspace(invitation.workspace, invitation.role)
+    });
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to accept invitation',
+      message: error.message
+    });
+  }
+});
+
+// Find a member of the caller's workspace that the caller may change: admins change editors
+// and viewers, the owner changes anyone but themselves. Returns { member, target } or { status, error }.
+const findManageableMember = async (req) => {
+  const { workspace, member, status, error } = await findMembership(req.params.id, req.user.userId, 'ADMIN');
+  if (error) {
+    return { status, error };
+  }
+
+  const target = await WorkspaceMember.findOne({
+    where: { id: req.params.memberId, workspaceId: workspace.id }
+  });
+
+  if (!target) {
+    return { status: 404, error: 'Member not found' };
+  }
+
+  if (target.role === 'OWNER') {
+    return { status: 403, error: 'The owner cannot be changed or removed' };
+  }
+
+  if (target.role === 'ADMIN' && member.role !== 'OWNER') {
+    return { status: 403, error: 'Only the owner can change admins' };
+  }
+
+  return { member, target };
+};
+
+// PATCH /workspaces/:id/members/:memberId - Change a member's role (protected)
+app.patch('/workspaces/:id/members/:memberId', authenticateToken, async (req, res) => {
+  try {
+    const { member, target, status, error } = await findManageableMember(req);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    const { role } = req.body;
+
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`
+      });
+    }
+
+    if (role === 'ADMIN' && member.role !== 'OWNER') {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the owner can make admins'
+      });
+    }
+
+    await target.update({ role });
+
+    return res.json({
+      success: true,
+      message: 'Member updated successfully',
+      data: serializeMember(target)
+    });
+  } catch (error) {
+    console.error('Error updating member:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update member',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /workspaces/:id/members/:memberId - Remove a member or withdraw an invitation (protected)
+// Members can also remove themselves to leave the workspace.
+app.delete('/workspaces/:id/members/:memberId', authenticateToken, async (req, res) => {
+  try {
+    const self = await WorkspaceMember.findOne({
+      where: { id: req.params.memberId, workspaceId: req.params.id, userId: req.user.userId }
+    });
+
+    let target = self;
+    if (self && self.role === 'OWNER') {
+      return res.status(403).json({
+        success: false,
+        error: 'The owner cannot leave the workspace'
+      });
+    }
+
+    if (!self) {
+      const manageable = await findManageableMember(req);
+      if (manageable.error) {
+        return res.status(manageable.status).json({
+          success: false,
+          error: manageable.error
+        });
+      }
+      target = manageable.target;
+    }
+
+    await target.destroy();
+
+    console.log(`👥 ${target.email} removed from workspace ${target.workspaceId}`);
+
+    return res.json({
+      success: true,
+      message: self ? 'Left the workspace' : 'Member removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing member:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to remove member',
+      message: error.message
+    });
+  }
+});
+
+// ============= EMAIL SCHEDULING ROUTES =============
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({ 
+    status: 'ok', 
+    message: 'Email Scheduler API is running',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Parse an optional scheduledAt into a send time and queue delay.
+// A scheduledAt without an offset is read in `timezone`; without scheduledAt the email
+// is sent immediately (delay 0). With a send window the time moves to the window's next opening.
+const resolveSchedule = (scheduledAt, timezone = DEFAULT_TIMEZONE, { sendWindow = null, windowTimezone = timezone, looseFormats = false } = {}) => {
+  let scheduledTime = new Date();
+
+  if (scheduledAt) {
+    scheduledTime = parseDateInZone(scheduledAt, timezone, { looseFormats });
+    if (!scheduledTime) {
+      return { error: 'Invalid scheduledAt date format' };
+    }
+
+    if (scheduledTime.getTime() < Date.now()) {
+      return { error: 'Scheduled time must be in the future' };
+    }
+  }
+
+  scheduledTime = nextSendWindowStart(sendWindow, windowTimezone, scheduledTime);
+
+  return { scheduledTime, delay: Math.max(scheduledTime.getTime() - Date.now(), 0) };
+};
+
+// Whether a request names its own timezone. Dates of requests that don't may also use the
+// free-form formats `new Date` reads (see parseDateInZone).
+const namesTimezone = (input) => input.timezone !== undefined && input.timezone !== null && input.timezone !== '';
+
+// The zone a sender's times are read in: the requested one, else their profile's, else the default.
+// Returns { timezone } or { error }.
+const resolveSenderTimezone = async (senderId, requested) => {
+  if (namesTimezone({ timezone: requested })) {
+    return isValidTimezone(requested)
+      ? { timezone: requested }
+      : { error: `Unknown timezone: ${requested}` };
+  }
+
+  const user = await User.findByPk(senderId);
+  return { timezone: (user && user.timezone) || DEFAULT_TIMEZONE };
+};
+
+// Optional sendWindow and recipientTimezone of a request. Returns { sendWindow, recipientTimezone } or { error }.
+const resolveSendWindow = ({ sendWindow, recipientTimezone }) => {
+  if (recipientTimezone && !isValidTimezone(recipientTimezone)) {
+    return { error: `Unknown recipientTimezone: ${recipientTimezone}` };
+  }
+
+  if (sendWindow === undefined || sendWindow === null) {
+    return { sendWindow: null, recipientTimezone: recipientTimezone || null };
+  }
+
+  const parsed = parseSendWindow(sendWindow);
+  return parsed.error ? parsed : { sendWindow: parsed.sendWindow, recipientTimezone: recipientTimezone || null };
+};
+
+// Load the current version of a sender's template, or null if it doesn't exist
+const findTemplateVersion = async (templateId, senderId, version) => {
+  const template = await Template.findOne({ where: { id: templateId, senderId } });
+  if (!template) {
+    return null;
+  }
+
+  return TemplateVersion.findOne({
+    where: { templateId, version: version || template.currentVersion }
+  });
+};
+
+// Pick the sending identity for a new email: the requested account, else the user's default.
+// Returns { account } (null means the server default) or { error }.
+const resolveSendingAccount = async (sendingAccountId, req) => {
+  const personal = { senderId: req.user.userId, workspaceId: null };
+
+  // In a workspace both the caller's own accounts and the workspace's shared ones can be used
+  if (sendingAccountId) {
+    const usable = req.workspace ? { [Op.or]: [personal, { workspaceId: req.workspace.id }] } : personal;
+    const account = await SendingAccount.findOne({ where: { id: sendingAccountId, ...usable } });
+    return account ? { account } : { error: 'Sending account not found' };
+  }
+
+  // The workspace's default account wins over the caller's own default
+  const account = (req.workspace && await SendingAccount.findOne({ where: { workspaceId: req.workspace.id, isDefault: true } }))
+    || await SendingAccount.findOne({ where: { ...personal, isDefault: true } });
+  return { account };
+};
+
+// Answer a request whose Idempotency-Key was used before
+const replayIdempotentResponse = (res, previous) => {
+  if (previous.error) {
+    return res.status(422).json({
+      success: false,
+      error: previous.error
+    });
+  }
+
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(previous.statusCode).json(previous.body);
+};
+
+// POST /schedule - Schedule an email (protected)
+app.post('/schedule', authenticateScope('schedule'), workspaceAccess('EDITOR'), async (req, res) => {
+  // A retried request with the same Idempotency-Key gets the original response
+  const { idempotency, error: idempotencyError } = readIdempotencyKey(req);
+  if (idempotencyError) {
+    return res.status(400).json({
+      success: false,
+      error: idempotencyError
+    });
+  }
+
+  try {
+    if (idempotency) {
+      const previous = await findIdempotentResponse(idempotency);
+      if (previous) {
+        return replayIdempotentResponse(res, previous);
+      }
+    }
+
+    const {
+      scheduledAt,
+      delayBetweenEmails,
+      hourlyLimit,
+      templateId,
+      variables,
+      recurrence,
+      attachmentIds,
+      sendingAccountId,
+      track
+    } = req.body;
+    let { subject } = req.body;
+    let { text: body, html } = resolveBodyParts(req.body);
+    const senderId = req.user.userId;
+    const workspaceId = req.workspace ? req.workspace.id : null;
+    
+    // Validate required fields (scheduledAt is now optional, subject/body come from the template if given)
+    if (!(req.body.to || req.body.recipient) || (!templateId && (!subject || !body))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: to (or recipient), and either templateId or subject and body/text/html'
+      });
+    }
+    
+    // Validate to/cc/bcc/replyTo; the first to address is the primary recipient
+    const { participants, recipient, error: participantsError } = resolveParticipants(req.body);
+    if (participantsError) {
+      return res.status(400).json({
+        success: false,
+        error: participantsError
+      });
+    }
+
+    // Enforce the sender's quotas; unset settings fall back to their profile defaults
+    const user = await findUserForToken(req.user);
+    const { hourlyLimit: resolvedHourlyLimit, error: hourlyLimitError } = resolveHourlyLimit(hourlyLimit, user);
+    if (hourlyLimitError) {
+      return res.status(400).json({
+        success: false,
+        error: hourlyLimitError
+      });
+    }
+
+    const spacing = delayBetweenEmails !== undefined && delayBetweenEmails !== null
+      ? Math.max(parseInt(delayBetweenEmails) || 0, 0)
+      : user.defaultDelayBetweenEmails;
+    const trackingEnabled = track !== undefined ? track === true : user.defaultTrackingEnabled;
+
+    // Resolve the template and make sure every placeholder has a value
+    let templateVersion = null;
+    if (templateId) {
+      const variablesError = validateVariables(variables);
+      if (variablesError) {
+        return res.status(400).json({
+          success: false,
+          error: variablesError
+        });
+      }
+
+      templateVersion = await findTemplateVersion(templateId, senderId);
+      if (!templateVersion) {
+        return res.status(404).json({
+          success: false,
+          error: 'Template not found'
+        });
+      }
+
+      const missingVariables = findMissingVariables(templateVersion.placeholders, variables);
+      if (missingVariables.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing template variables',
+          missingVariables
+        });
+      }
+
+      // Store the unrendered template content; the worker renders at send time
+      subject = templateVersion.subject;
+      body = templateVersion.text;
+      html = templateVersion.html;
+    }
+
+    const { attachments, error: attachmentError } = await resolveAttachmentIds(attachmentIds, senderId);
+    if (attachmentError) {
+      return res.status(400).json({
+        success: false,
+        error: attachmentError
+      });
+    }
+
+    const { account, error: accountError } = await resolveSendingAccount(sendingAccountId, req);
+    if (accountError) {
+      return res.status(404).json({
+        success: false,
+        error: accountError
+      });
+    }
+
+    const { timezone, error: timezoneError } = await resolveSenderTimezone(senderId, req.body.timezone);
+    if (timezoneError) {
+      return res.status(400).json({
+        success: false,
+        error: timezoneError
+      });
+    }
+
+    const { sendWindow, recipientTimezone, error: sendWindowError } = resolveSendWindow(req.body);
+    if (sendWindowError) {
+      return res.status(400).json({
+        success: false,
+        error: sendWindowError
+      });
+    }
+
+    // Suppressed recipients are still accepted; the worker skips them at send time
+    const warnings = [];
+    const addresses = [...participants.to, ...participants.cc, ...participants.bcc].map(({ address }) => address);
+    const suppressions = await findSuppressions(senderId, addresses);
+    for (const address of addresses) {
+      const suppression = suppressions.get(normalizeEmail(address));
+      if (suppression) {
+        warnings.push(`Recipient ${address} is on the suppression list (${suppression.reason}) and will not be sent to`);
+      }
+    }
+
+    // Recurring emails create a parent schedule; each occurrence gets its own EmailLog
+    if (recurrence) {
+      const parsed = parseRecurrenceInput(recurrence, timezone);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          error: parsed.error
+        });
+      }
+
+      const startAt = scheduledAt
+        ? parseDateInZone(scheduledAt, parsed.timezone, { looseFormats: !namesTimezone(req.body) && !namesTimezone(recurrence) })
+        : new Date();
+      if (!startAt) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid scheduledAt date format'
+        });
+      }
+
+      const firstRunAfter = new Date(Math.max(startAt.getTime() - 1000, Date.now()));
+      const firstRun = nextOccurrence({ ...parsed, startAt }, firstRunAfter);
+      if (!firstRun || (parsed.endAt && firstRun > parsed.endAt)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Recurrence does not produce any occurrence before its end'
+        });
+      }
+
+      const created = await sequelize.transaction(async (transaction) => {
+        // The pending quota is checked with the sender's row locked, see checkSchedulingQuotas
+        const quotaError = await checkSchedulingQuotas(senderId, 1, transaction);
+        if (quotaError) {
+          return { quotaError };
+        }
+
+        const recurringSchedule = await RecurringSchedule.create({
+          senderId,
+          workspaceId,
+          recipient,
+          participants,
+          subject,
+          body,
+          html,
+          attachmentIds: attachments.map((attachment) => attachment.id),
+          templateId: templateVersion ? templateId : null,
+          variables: templateVersion ? (variables || {}) : null,
+          ...parsed,
+          startAt,
+          delayBetweenEmails: spacing,
+          hourlyLimit: resolvedHourlyLimit,
+          sendingAccountId: account ? account.id : null,
+          apiKeyId: req.user.apiKeyId || null,
+          trackingEnabled,
+          recipientTimezone,
+          sendWindow
+        }, { transaction });
+
+        const emailLog = await scheduleNextOccurrence(recurringSchedule, firstRunAfter, transaction);
+
+        const response = {
+          success: true,
+          message: 'Recurring email scheduled successfully',
+          data: {
+            recurringScheduleId: recurringSchedule.id,
+            emailLogId: emailLog.id,
+            recipient,
+            ...participants,
+            recurrenceType: recurringSchedule.recurrenceType,
+            expression: recurringSchedule.expression,
+            timezone: recurringSchedule.timezone,
+            sendWindow,
+            recipientTimezone,
+            endAt: recurringSchedule.endAt,
+            maxOccurrences: recurringSchedule.maxOccurrences,
+            nextRunAt: recurringSchedule.nextRunAt,
+            nextRunAtLocal: formatInZone(recurringSchedule.nextRunAt, recurringSchedule.timezone),
+            status: recurringSchedule.status
+          },
+          warnings
+        };
+        await recordIdempotentResponse(idempotency, 201, response, transaction);
+
+        return { recurringSchedule, emailLog, response };
+      });
+
+      if (created.quotaError) {
+        return res.status(429).json({
+          success: false,
+          error: created.quotaError
+        });
+      }
+      const { recurringSchedule, emailLog, response } = created;
+
+      console.log(`Recurring schedule created: ${recurringSchedule.id}, first occurrence ${emailLog.id} at ${emailLog.scheduledAt.toISOString()}`);
+
+      return res.status(201).json(response);
+    }
+    
+    // Handle scheduling (moved into the send window, evaluated in the recipient's zone)
+    const schedule = resolveSchedule(scheduledAt, timezone, {
+      sendWindow,
+      windowTimezone: recipientTimezone || timezone,
+      looseFormats: !namesTimezone(req.body)
+    });
+    if (schedule.error) {
+      return res.status(400).json({
+        success: false,
+        error: schedule.error
+      });
+    }
+    const { scheduledTime, delay } = schedule;
+    const message = delay === 0 ? 'Email queued for immediate sending' : 'Email scheduled successfully';
+    
+    // Save to database with user-defined settings
+    const created = await sequelize.transaction(async (transaction) => {
+      // The pending quota is checked with the sender's row locked, see checkSchedulingQuotas
+      const quotaError = await checkSchedulingQuotas(senderId, 1, transaction);
+      if (quotaError) {
+        return { quotaError };
+      }
+
+      const emailLog = await EmailLog.create({
+        recipient,
+        subject,
+        body,
+        html,
+        senderId,
+        workspaceId,
+        scheduledAt: scheduledTime,
+        status: 'PENDING',
+        delayBetweenEmails: spacing,
+        hourlyLimit: resolvedHourlyLimit,
+        templateId: templateVersion ? templateId : null,
+        templateVersion: templateVersion ? templateVersion.version : null,
+        variables: templateVersion ? (variables || {}) : null,
+        sendingAccountId: account ? account.id : null,
+        apiKeyId: req.user.apiKeyId || null,
+        trackingEnabled,
+        timezone,
+        recipientTimezone,
+        sendWindow
+      }, { transaction });
+
+      await EmailRecipient.bulkCreate(toRecipientRows(emailLog.id, participants), { transaction });
+
+      if (attachments.length > 0) {
+        await emailLog.setAttachments(attachments, { transaction });
+      }
+
+      // The job (delay 0 for immediate) is queued through the outbox once the row commits
+      await queueEmailJob(emailLog, transaction);
+      dispatchAfterCommit(transaction);
+
+      const response = {
+        success: true,
+        message,
+        data: {
+          emailLogId: emailLog.id,
+          jobId: emailLog.id,
+          recipient,
+          ...participants,
+          scheduledAt: scheduledTime,
+          scheduledAtLocal: formatInZone(scheduledTime, timezone),
+          timezone,
+          ...(recipientTimezone && { scheduledAtRecipientLocal: formatInZone(scheduledTime, recipientTimezone) }),
+          sendWindow,
+          recipientTimezone,
+          delay,
+          delayBetweenEmails: emailLog.delayBetweenEmails,
+          hourlyLimit: emailLog.hourlyLimit,
+          templateId: emailLog.templateId,
+          templateVersion: emailLog.templateVersion,
+          attachments: attachments.map(serializeAttachment),
+          sendingAccountId: emailLog.sendingAccountId,
+          trackingEnabled: emailLog.trackingEnabled,
+          status: 'PENDING'
+        },
+        warnings
+      };
+      await recordIdempotentResponse(idempotency, 201, response, transaction);
+
+      return { emailLog, response };
+    });
+
+    if (created.quotaError) {
+      return res.status(429).json({
+        success: false,
+        error: created.quotaError
+      });
+    }
+    const { emailLog, response } = created;
+    
+    console.log(`${message}: ${emailLog.id}, Job ID: ${emailLog.id}, Delay: ${delay}ms, DelayBetweenEmails: ${emailLog.delayBetweenEmails}s, HourlyLimit: ${emailLog.hourlyLimit}`);
+    
+    return res.status(201).json(response);
+    
+  } catch (error) {
+    // A concurrent request with the same key committed first: answer like a retry would be
+    if (isIdempotencyConflict(error)) {
+      try {
+        const previous = await findIdempotentResponse(idempotency);
+        if (previous) {
+          return replayIdempotentResponse(res, previous);
+        }
+      } catch (lookupError) {
+        console.error('Error reading idempotent response:', lookupError);
+      }
+    }
+
+    console.error('Error scheduling email:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to schedule email',
+      message: error.message
+    });
+  }
+});
+
+const EMAIL_STATUSES = EmailLog.getAttributes().status.values;
+const EMAIL_SORT_FIELDS = ['createdAt', 'scheduledAt', 'updatedAt'];
+
+// Parse an optional ISO date query parameter. Returns { date } (undefined when absent) or { error }.
+const parseDateParam = (value, name) => {
+  if (value === undefined || value === '') {
+    return {};
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? { error: `Invalid ${name} date` } : { date };
+};
+
+// Turn free text into a BOOLEAN MODE query that requires every word (as a prefix),
+// so user input can't inject full-text operators
+const toFullTextQuery = (text) => {
+  const words = String(text).match(/[\p{L}\p{N}_]+/gu) || [];
+  return words.map((word) => `+${word}*`).join(' ');
+};
+
+// Build the WHERE conditions of GET /emails from its query string, within `scope`
+// (the active workspace or the caller's personal emails).
+// Returns { conditions } or { error }.
+const buildEmailListFilters = (query, scope) => {
+  const conditions = [scope];
+
+  if (query.status) {
+    const statuses = String(query.status).split(',').map((status) => status.trim().toUpperCase()).filter(Boolean);
+    const unknown = statuses.filter((status) => !EMAIL_STATUSES.includes(status));
+    if (unknown.length > 0) {
+      return { error: `Unknown status: ${unknown.join(', ')}. Valid statuses: ${EMAIL_STATUSES.join(', ')}` };
+    }
+    conditions.push({ status: statuses });
+  }
+
+  if (query.recipient) {
+    conditions.push({ recipient: { [Op.substring]: String(query.recipient) } });
+  }
+
+  // Match the address in to, cc, bcc or reply-to
+  if (query.address) {
+    conditions.push({
+      [Op.or]: [
+        { recipient: query.address },
+        {
+          id: {
+            [Op.in]: sequelize.literal(
+              `(SELECT emailLogId FROM email_recipients WHERE address = ${sequelize.escape(String(query.address))})`
+            )
+          }
+        }
+      ]
+    });
+  }
+
+  if (query.subject) {
+    conditions.push({ subject: { [Op.substring]: String(query.subject) } });
+  }
+
+  if (query.campaignId) {
+    conditions.push({ campaignId: query.campaignId });
+  }
+
+  for (const [field, fromParam, toParam] of [
+    ['scheduledAt', 'scheduledFrom', 'scheduledTo'],
+    ['createdAt', 'createdFrom', 'createdTo']
+  ]) {
+    const from = parseDateParam(query[fromParam], fromParam);
+    const to = parseDateParam(query[toParam], toParam);
+    if (from.error || to.error) {
+      return { error: from.error || to.error };
+    }
+    if (from.date) {
+      conditions.push({ [field]: { [Op.gte]: from.date } });
+    }
+    if (to.date) {
+      conditions.push({ [field]: { [Op.lte]: to.date } });
+    }
+  }
+
+  // Full-text search over subject and body (FULLTEXT index on email_logs)
+  if (query.q) {
+    const fullTextQuery = toFullTextQuery(query.q);
+    if (!fullTextQuery) {
+      return { error: 'Search query q must contain at least one word' };
+    }
+    conditions.push(sequelize.where(
+      sequelize.literal(`MATCH (subject, body) AGAINST (${sequelize.escape(fullTextQuery)} IN BOOLEAN MODE)`),
+      { [Op.gt]: 0 }
+    ));
+  }
+
+  return { conditions };
+};
+
+// GET /emails - List the user's emails with cursor pagination (protected)
+// Filters: ?status=PENDING,FAILED ?recipient= (substring) ?address= (any participant, exact)
+// ?subject= (substring) ?q= (full-text over subject and body) ?campaignId=
+// ?scheduledFrom= ?scheduledTo= ?createdFrom= ?createdTo= (ISO dates, inclusive)
+// Paging: ?sort=createdAt|scheduledAt|updatedAt ?order=desc|asc ?limit= (max 200) ?cursor=
+app.get('/emails', authenticateToken, workspaceAccess('VIEWER'), async (req, res) => {
+  try {
+    const sort = req.query.sort || 'createdAt';
+    if (!EMAIL_SORT_FIELDS.includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        error: `sort must be one of: ${EMAIL_SORT_FIELDS.join(', ')}`
+      });
+    }
+
+    const direction = String(req.query.order || 'desc').toUpperCase();
+    if (!['ASC', 'DESC'].includes(direction)) {
+      return res.status(400).json({
+        success: false,
+        error: 'order must be asc or desc'
+      });
+    }
+
+    const { conditions, error: filterError } = buildEmailListFilters(req.query, ownerScope(req));
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        error: filterError
+      });
+    }
+
+    let pageConditions = conditions;
+    if (req.query.cursor) {
+      // All sort fields are dates
+      const cursor = decodeCursor(req.query.cursor, sort);
+      if (!cursor || isNaN(new Date(cursor.value).getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid cursor for this sort'
+        });
+      }
+      cursor.value = new Date(cursor.value);
+      pageConditions = [...conditions, cursorCondition(cursor, sort, direction)];
+    }
+
+    const limit = parsePageSize(req.query.limit);
+
+    // Fetch one extra row to know whether there is a next page
+    const [total, rows] = await Promise.all([
+      EmailLog.count({ where: { [Op.and]: conditions } }),
+      EmailLog.findAll({
+        where: { [Op.and]: pageConditions },
+        include: [{
+          model: EmailRecipient,
+          as: 'recipients',
+          attributes: ['type', 'name', 'address', 'position'],
+          separate: true,
+          order: [['position', 'ASC']]
+        }],
+        order: cursorOrder(sort, direction),
+        limit: limit + 1
+      })
+    ]);
+
+    const hasMore = rows.length > limit;
+    const emails = hasMore ? rows.slice(0, limit) : rows;
+    
+    return res.json({
+      success: true,
+      count: emails.length,
+      total,
+      nextCursor: hasMore ? encodeCursor(emails[emails.length - 1], sort) : null,
+      data: emails
+    });
+  } catch (error) {
+    console.error('Error fetching emails:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch emails',
+      message: error.message
+    });
+  }
+});
+
+// GET /emails/:id - Get specific email log (protected)
+app.get('/emails/:id', authenticateToken, workspaceAccess('VIEWER'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const emailLog = await EmailLog.findOne({
+      where: { id, ...ownerScope(req) },
+      include: [{
+        model: EmailRecipient,
+        as: 'recipients',
+        attributes: ['type', 'name', 'address', 'position'],
+        separate: true,
+        order: [['position', 'ASC']]
+      }, {
+        model: Attachment,
+        as: 'attachments',
+        attributes: ['id', 'filename', 'mimeType', 'size', 'createdAt'],
+        through: { attributes: [] }
+      }, {
+        model: EmailEvent,
+        as: 'events',
+        attributes: ['id', 'type', 'url', 'userAgent', 'createdAt']
+      }],
+      order: [[{ model: EmailEvent, as: 'events' }, 'createdAt', 'ASC']]
+    });
+    
+    if (!emailLog) {
+      return res.status(404).json({
+        success: false,
+        error: 'Email log not found'
+      });
+    }
+    
+    return res.json({
+      success: true,
+      data: emailLog
+    });
+  } catch (error) {
+    console.error('Error fetching email:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch email',
+      message: error.message
+    });
+  }
+});
+
+// GET /emails/:id/attempts - Delivery attempt history of an email (protected)
+// Includes the state of the queued job when one is still live.
+app.get('/emails/:id/attempts', authenticateToken, workspaceAccess('VIEWER'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const emailLog = await EmailLog.findOne({
+      where: { id, ...ownerScope(req) },
+      attributes: ['id', 'status', 'attemptCount', 'deferCount', 'lastError', 'sentAt', 'messageId']
+    });
+
+    if (!emailLog) {
+      return res.status(404).json({
+        success: false,
+        error: 'Email log not found'
+      });
+    }
+
+    const [attempts, liveJob] = await Promise.all([
+      DeliveryAttempt.findAll({
+        where: { emailLogId: id },
+        order: [['attempt', 'ASC']]
+      }),
+      findLiveJob(id)
+    ]);
+
+    return res.json({
+      success: true,
+      data: {
+        ...emailLog.toJSON(),
+        job: liveJob ? {
+          id: liveJob.id,
+          state: await liveJob.getState(),
+          attemptsMade: liveJob.attemptsMade,
+          maxAttempts: liveJob.opts.attempts || 1,
+          runAt: new Date(liveJob.timestamp + (liveJob.delay || 0)).toISOString()
+        } : null,
+        attempts
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching delivery attempts:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch delivery attempts',
+      message: error.message
+    });
+  }
+});
+
+// Validate edits to an email's participants, content and send time.
+// Returns { updates, participants, delay } (participants and delay are null when not changed)
+// or { error } with `missingVariables` for incomplete template variables.
+const resolveEmailUpdates = async (emailLog, input) => {
+  const { subject, scheduledAt, variables } = input;
+  const updates = {};
+  const bodyFields = ['body', 'text', 'html'].filter((field) => input[field] !== undefined);
+
+  // Participant fields that are given replace the stored ones; the others are kept
+  let participants = null;
+  const participantFields = ['to', 'cc', 'bcc', 'replyTo'].filter((field) => input[field] !== undefined);
+  if (input.recipient !== undefined && input.to === undefined) {
+    participantFields.push('to');
+  }
+
+  if (participantFields.length > 0) {
+    const current = groupRecipientRows(await emailLog.getRecipients(), emailLog.recipient);
+    const merged = { ...current };
+    for (const field of participantFields) {
+      merged[field] = field === 'to' ? (input.to ?? input.recipient) : input[field];
+    }
+
+    const resolved = resolveParticipants(merged);
+    if (resolved.error) {
+      return { error: resolved.error };
+    }
+    participants = resolved.participants;
+    updates.recipient = resolved.recipient;
+  }
+
+  if (emailLog.templateId) {
+    if (subject !== undefined || bodyFields.length > 0) {
+      return { error: 'Subject and body of a templated email come from its template; update variables instead' };
+    }
+
+    if (variables !== undefined) {
+      const variablesError = validateVariables(variables);
+      if (variablesError) {
+        return { error: variablesError };
+      }
+
+      const templateVersion = await TemplateVersion.findOne({
+        where: { templateId: emailLog.templateId, version: emailLog.templateVersion }
+      });
+      const missingVariables = findMissingVariables(templateVersion ? templateVersion.placeholders : [], variables);
+      if (missingVariables.length > 0) {
+        return { error: 'Missing template variables', missingVariables };
+      }
+      updates.variables = variables || {};
+    }
+  } else {
+    if (subject !== undefined) {
+      if (!subject) {
+        return { error: 'subject cannot be empty' };
+      }
+      updates.subject = subject;
+    }
+
+    // Same text/html handling as POST /schedule. The parts are replaced together: a new text
+    // part without html clears the stored html, which is then generated from the text.
+    if (bodyFields.length > 0) {
+      const { text, html } = resolveBodyParts(input);
+      if (!text) {
+        return { error: 'body cannot be empty' };
+      }
+      updates.body = text;
+      updates.html = html;
+    }
+  }
+
+  let timezone = emailLog.timezone || DEFAULT_TIMEZONE;
+  if (input.timezone !== undefined) {
+    if (!isValidTimezone(input.timezone)) {
+      return { error: `Unknown timezone: ${input.timezone}` };
+    }
+    timezone = input.timezone;
+    updates.timezone = timezone;
+  }
+
+  let delay = null;
+  if (scheduledAt !== undefined) {
+    const schedule = resolveSchedule(scheduledAt, timezone, {
+      sendWindow: emailLog.sendWindow,
+      windowTimezone: emailLog.recipientTimezone || timezone,
+      looseFormats: !namesTimezone(input)
+    });
+    if (schedule.error) {
+      return { error: schedule.error };
+    }
+    updates.scheduledAt = schedule.scheduledTime;
+    delay = schedule.delay;
+  }
+
+  return { updates, participants, delay };
+};
+
+// Apply resolved updates to the row and its participants
+const applyEmailUpdates = async (emailLog, { updates, participants }, transaction) => {
+  await emailLog.update(updates, { transaction });
+
+  if (participants) {
+    await EmailRecipient.destroy({ where: { emailLogId: emailLog.id }, transaction });
+    await EmailRecipient.bulkCreate(toRecipientRows(emailLog.id, participants), { transaction });
+  }
+};
+
+// PATCH /emails/:id - Edit or reschedule a pending email (protected)
+// The queued job keeps the email's ID; it is updated in place or replaced.
+app.patch('/emails/:id', authenticateToken, workspaceAccess('EDITOR'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const emailLog = await EmailLog.findOne({
+      where: { id, ...ownerScope(req) }
+    });
+
+    if (!emailLog) {
+      return res.status(404).json({
+        success: false,
+        error: 'Email log not found'
+      });
+    }
+
+    if (!canModify(req, emailLog)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Editors can only change emails they scheduled'
+      });
+    }
+
+    if (!['PENDING', 'THROTTLED'].includes(emailLog.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Email is ${emailLog.status} and can no longer be edited`
+      });
+    }
+
+    const resolved = await resolveEmailUpdates(emailLog, req.body);
+    if (resolved.error) {
+      return res.status(400).json({
+        success: false,
+        error: resolved.error,
+        ...(resolved.missingVariables && { missingVariables: resolved.missingVariables })
+      });
+    }
+    const { updates, participants, delay } = resolved;
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to update: provide to/recipient, cc, bcc, replyTo, subject, body/text/html, variables, scheduledAt or timezone'
+      });
+    }
+
+    // The job is updated through the outbox in the row's transaction. The row is locked and
+    // checked again first, so a send that started in the meantime is refused, not overwritten.
+    const rejected = await sequelize.transaction(async (transaction) => {
+      const current = await EmailLog.findByPk(id, {
+        attributes: ['id', 'status'],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!current) {
+        return { status: 404, error: 'Email log not found' };
+      }
+      if (!['PENDING', 'THROTTLED'].includes(current.status)) {
+        return { status: 409, error: `Email is ${current.status} and can no longer be edited` };
+      }
+
+      const liveJob = await findLiveJob(id);
+      if (liveJob && await liveJob.isActive()) {
+        return { status: 409, error: 'Email is currently being sent and can no longer be edited' };
+      }
+
+      // A delayed job (scheduled or deferred) keeps its timing unless the email is rescheduled;
+      // any other one is replaced. A rescheduled email is no longer throttled; other edits keep
+      // its status.
+      const reschedule = delay !== null || !(liveJob && await liveJob.isDelayed());
+      const status = updates.scheduledAt ? { status: 'PENDING' } : {};
+      await applyEmailUpdates(emailLog, { updates: { ...updates, ...status }, participants }, transaction);
+      await queueEmailJobUpdate(emailLog, { reschedule }, transaction);
+      dispatchAfterCommit(transaction);
+      return null;
+    });
+
+    if (rejected) {
+      return res.status(rejected.status).json({
+        success: false,
+        error: rejected.error
+      });
+    }
+    const jobId = id;
+
+    console.log(`Email ${id} updated: ${Object.keys(updates).join(', ')}`);
+
+    return res.json({
+      success: true,
+      message: 'Email updated successfully',
+      data: {
+        ...emailLog.toJSON(),
+        ...(participants || {}),
+        jobId
+      }
+    });
+  } catch (error) {
+    console.error('Error updating email:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update email',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /emails/:id - Delete specific email log (protected)
+app.delete('/emails/:id', authenticateToken, workspaceAccess('EDITOR'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const emailLog = await EmailLog.findOne({
+      where: { id, ...ownerScope(req) }
+    });
+    
+    if (!emailLog) {
+      return res.status(404).json({
+        success: false,
+        error: 'Email log not found'
+      });
+    }
+
+    if (!canModify(req, emailLog)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Editors can only change emails they scheduled'
+      });
+    }
+
+    const liveJob = await findLiveJob(id);
+    if (liveJob && await liveJob.isActive()) {
+      return res.status(409).json({
+        success: false,
+        error: 'Email is currently being sent and can no longer be deleted'
+      });
+    }
+
+    // The row goes now and its job through the outbox. Deleting a recurring schedule's upcoming
+    // occurrence skips it: the next one is created so the series doesn't stop.
+    await sequelize.transaction(async (transaction) => {
+      if (emailLog.recurringScheduleId && ['PENDING', 'THROTTLED'].includes(emailLog.status)) {
+        await advanceRecurringSchedule(emailLog, transaction);
+      }
+      await queueJobRemoval(id, transaction);
+      await emailLog.destroy({ transaction });
+      dispatchAfterCommit(transaction);
+    });
+
+    console.log(`Email ${id} deleted, job removal queued`);
+    
+    return res.json({
+      success: true,
+      message: 'Email deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting email:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete email',
+      message: error.message
+    });
+  }
+});
+
+// GET /queue/stats - Queue statistics for the user's emails, or the workspace's (protected)
+app.get('/queue/stats', authenticateToken, workspaceAccess('VIEWER'), async (req, res) => {
+  try {
+    const subject = req.workspace ? `workspace:${req.workspace.id}` : req.user.userId;
+    const caps = resolveSendCaps(await User.findByPk(req.user.userId), req.workspace);
+    const stats = await getScopedQueueStats(ownerScope(req), subject, caps);
+    
+    return res.json({
+      success: true,
+      stats
+    });
+  } catch (error) {
+    console.error('Error fetching queue stats:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch queue stats',
+      message: error.message
+    });
+  }
+});
+
+// ============= DEAD-LETTER ROUTES =============
+// Emails whose job used up its attempts (or failed permanently) stay FAILED until retried or discarded.
+
+const MAX_DEAD_LETTER_BATCH = parseInt(process.env.MAX_DEAD_LETTER_BATCH) || 500;
+
+// Which failed emails a bulk request targets: { ids: [...] } or { all: true }, among those the
+// caller may change (see modifiableScope). Returns { where } or { error }.
+const resolveDeadLetterSelection = ({ ids, all }, req) => {
+  const scope = { ...modifiableScope(req), status: 'FAILED' };
+
+  if (all === true) {
+    return { where: scope };
+  }
+
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return { error: 'Provide ids (a non-empty array) or all: true' };
+  }
+
+  if (ids.length > MAX_DEAD_LETTER_BATCH) {
+    return { error: `At most ${MAX_DEAD_LETTER_BATCH} emails can be processed per request` };
+  }
+
+  return { where: { ...scope, id: [...new Set(ids)] } };
+};
+
+// Reset a failed email to PENDING and queue it under its own ID through the outbox. The old
+// job still in BullMQ's failed set is replaced when the entry is dispatched.
+const retryFailedEmail = (emailLog, { updates = {}, participants = null } = {}) => {
+  return sequelize.transaction(async (transaction) => {
+    const scheduledAt = updates.scheduledAt || new Date();
+    await applyEmailUpdates(emailLog, {
+      updates: { ...updates, scheduledAt, status: 'PENDING' },
+      participants
+    }, transaction);
+
+    await queueEmailJob(emailLog, transaction);
+    dispatchAfterCommit(transaction);
+  });
+};
+
+// Latest attempt of each email, keyed by email ID
+const findLatestAttempts = async (emailLogIds) => {
+  const attempts = emailLogIds.length === 0 ? [] : await DeliveryAttempt.findAll({
+    where: { emailLogId: emailLogIds },
+    order: [['attempt', 'DESC']]
+  });
+
+  const latest = new Map();
+  for (const attempt of attempts) {
+    if (!latest.has(attempt.emailLogId)) {
+      latest.set(attempt.emailLogId, attempt);
+    }
+  }
+  return latest;
+};
+
+// GET /dead-letter - Failed emails with their last error, most recent first (protected)
+// Optional: ?campaignId= ?limit= (max 200) ?cursor=
+app.get('/dead-letter', authenticateToken, workspaceAccess('VIEWER'), async (req, res) => {
+  try {
+    const conditions = [{ ...ownerScope(req), status: 'FAILED' }];
+    if (req.query.campaignId) {
+      conditions.push({ campaignId: req.query.campaignId });
+    }
+
+    let pageConditions = conditions;
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor, 'updatedAt');
+      if (!cursor || isNaN(new Date(cursor.value).getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid cursor'
+        });
+      }
+      cursor.value = new Date(cursor.value);
+      pageConditions = [...conditions, cursorCondition(cursor, 'updatedAt', 'DESC')];
+    }
+
+    const limit = parsePageSize(req.query.limit);
+    const [total, rows] = await Promise.all([
+      EmailLog.count({ where: { [Op.and]: conditions } }),
+      EmailLog.findAll({
+        where: { [Op.and]: pageConditions },
+        order: cursorOrder('updatedAt', 'DESC'),
+        limit: limit + 1
+      })
+    ]);
+
+    const hasMore = rows.length > limit;
+    const emails = hasMore ? rows.slice(0, limit) : rows;
+    const latestAttempts = await findLatestAttempts(emails.map((email) => email.id));
+
+    return res.json({
+      success: true,
+      count: emails.length,
+      total,
+      nextCursor: hasMore ? encodeCursor(emails[emails.length - 1], 'updatedAt') : null,
+      data: emails.map((email) => {
+        const attempt = latestAttempts.get(email.id);
+        return {
+          ...email.toJSON(),
+          lastAttempt: attempt ? {
+            attempt: attempt.attempt,
+            finishedAt: attempt.finishedAt,
+            responseCode: attempt.responseCode,
+            response: attempt.response,
+            error: attempt.error,
+            failureType: attempt.failureType
+          } : null
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Error fetching dead-letter emails:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch failed emails',
+      message: error.message
+    });
+  }
+});
+
+// POST /dead-letter/:id/retry - Retry one failed email (protected)
+// Accepts the same edits as PATCH /emails/:id; without scheduledAt it is sent right away.
+app.post('/dead-letter/:id/retry', authenticateToken, workspaceAccess('EDITOR'), async (req, res) => {
+  try {
+    const emailLog = await EmailLog.findOne({
+      where: { id: req.params.id, ...ownerScope(req) }
+    });
+
+    if (!emailLog) {
+      return res.status(404).json({
+        success: false,
+        error: 'Email log not found'
+      });
+    }
+
+    if (!canModify(req, emailLog)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Editors can only change emails they scheduled'
+      });
+    }
+
+    if (emailLog.status !== 'FAILED') {
+      return res.status(409).json({
+        success: false,
+        error: `Email is ${emailLog.status}; only FAILED emails can be retried`
+      });
+    }
+
+    const resolved = await resolveEmailUpdates(emailLog, req.body || {});
+    if (resolved.error) {
+      return res.status(400).json({
+        success: false,
+        error: resolved.error,
+        ...(resolved.missingVariables && { missingVariables: resolved.missingVariables })
+      });
+    }
+
+    await retryFailedEmail(emailLog, resolved);
+
+    console.log(`🔁 Failed email ${emailLog.id} requeued`);
+
+    return res.json({
+      success: true,
+      message: 'Email requeued',
+      data: {
+        ...emailLog.toJSON(),
+        ...(resolved.participants || {}),
+        jobId: emailLog.id
+      }
+    });
+  } catch (error) {
+    console.error('Error retrying email:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to retry email',
+      message: error.message
+    });
+  }
+});
+
+// POST /dead-letter/retry - Retry many failed emails (protected)
+// Body: { ids: [...] } or { all: true }, optional scheduledAt for all of them
+app.post('/dead-letter/retry', authenticateToken, workspaceAccess('EDITOR'), async (req, res) => {
+  try {
+    const selection = resolveDeadLetterSelection(req.body || {}, req);
+    if (selection.error) {
+      return res.status(400).json({
+        success: false,
+        error: selection.error
+      });
+    }
+
+    let schedule = { scheduledTime: undefined, delay: 0 };
+    if (req.body.scheduledAt !== undefined) {
+      const { timezone, error: timezoneError } = await resolveSenderTimezone(req.user.userId, req.body.timezone);
+      if (timezoneError) {
+        return res.status(400).json({
+          success: false,
+          error: timezoneError
+        });
+      }
+
+      schedule = resolveSchedule(req.body.scheduledAt, timezone, { looseFormats: !namesTimezone(req.body) });
+      if (schedule.error) {
+        return res.status(400).json({
+          success: false,
+          error: schedule.error
+        });
+      }
+    }
+
+    const emails = await EmailLog.findAll({
+      where: selection.where,
+      order: [['updatedAt', 'ASC']],
+      limit: MAX_DEAD_LETTER_BATCH
+    });
+
+    const retried = [];
+    const errors = [];
+    for (const emailLog of emails) {
+      try {
+        await retryFailedEmail(emailLog, {
+          updates: schedule.scheduledTime ? { scheduledAt: schedule.scheduledTime } : {}
+        });
+        retried.push(emailLog.id);
+      } catch (err) {
+        errors.push({ id: emailLog.id, error: err.message });
+      }
+    }
+
+    // Requested IDs that aren't failed emails the caller may retry
+    const notFound = Array.isArray(req.body.ids)
+      ? req.body.ids.filter((id) => !emails.some((email) => email.id === id))
+      : [];
+
+    console.log(`🔁 Requeued ${retried.length} failed email(s) for ${req.user.userId}`);
+
+    return res.json({
+      success: true,
+      message: `${retried.length} email(s) requeued`,
+      data: {
+        retried,
+        notFound,
+        errors
+      }
+    });
+  } catch (error) {
+    console.error('Error retrying emails:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to retry emails',
+      message: error.message
+    });
+  }
+});
+
+// POST /dead-letter/discard - Delete failed emails and their failed jobs (protected)
+// Body: { ids: [...] } or { all: true }
+app.post('/dead-letter/discard', authenticateToken, workspaceAccess('EDITOR'), async (req, res) => {
+  try {
+    const selection = resolveDeadLetterSelection(req.body || {}, req);
+    if (selection.error) {
+      return res.status(400).json({
+        success: false,
+        error: selection.error
+      });
+    }
+
+    // The rows go now and their failed jobs through the outbox, in one transaction
+    const discarded = await sequelize.transaction(async (transaction) => {
+      const emails = await EmailLog.findAll({
+        where: selection.where,
+        attributes: ['id'],
+        limit: MAX_DEAD_LETTER_BATCH,
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      const ids = emails.map((emailLog) => emailLog.id);
+
+      if (ids.length > 0) {
+        for (const id of ids) {
+          await queueJobRemoval(id, transaction);
+        }
+        await EmailLog.destroy({ where: { id: ids }, transaction });
+        dispatchAfterCommit(transaction);
+      }
+
+      return ids;
+    });
+
+    console.log(`🗑️  Discarded ${discarded.length} failed email(s) for ${req.user.userId}`);
+
+    return res.json({
+      success: true,
+      message: `${discarded.length} email(s) discarded`,
+      data: {
+        discarded
+      }
+    });
+  } catch (error) {
+    console.error('Error discarding emails:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to discard emails',
+      message: error.message
+    });
+  }
+});
+
+// ============= CAMPAIGN ROUTES =============
+
+// Accept an optional CSV upload in the `file` field, reporting upload errors as 400s
+const handleCsvUpload = (req, res, next) => {
+  csvUpload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid CSV upload',
+        message: err.message
+      });
+    }
+    next();
+  });
+};
+
+// Read recipient rows from either an uploaded CSV or a `recipients` list.
+// Multipart requests may send `recipients` as a JSON array or a comma/newline separated string.
+const readCampaignRecipients = (req) => {
+  if (req.file) {
+    return parseRecipientCsv(req.file.buffer);
+  }
+
+  let { recipients } = req.body;
+
+  if (typeof recipients === 'string') {
+    try {
+      recipients = JSON.parse(recipients);
+    } catch {
+      recipients = recipients.split(/[\n,;]+/).filter((entry) => entry.trim());
+    }
+  }
+
+  if (!Array.isArray(recipients)) {
+    return null;
+  }
+
+  return normalizeRecipientList(recipients);
+};
+
+// Count a campaign's emails by status
+const getCampaignProgress = async (campaign) => {
+  const rows = await EmailLog.findAll({
+    where: { campaignId: campaign.id },
+    attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    group: ['status'],
+    raw: true
+  });
+
+  const byStatus = { PENDING: 0, THROTTLED: 0, SENT: 0, FAILED: 0, CANCELLED: 0, SUPPRESSED: 0 };
+  for (const row of rows) {
+    byStatus[row.status] = parseInt(row.count);
+  }
+
+  const total = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
+  const remaining = byStatus.PENDING + byStatus.THROTTLED;
+  const processed = total - remaining;
+
+  return {
+    total,
+    remaining,
+    processed,
+    percentComplete: total === 0 ? 100 : Math.round((processed / total) * 100),
+    byStatus
+  };
+};
+
+// POST /campaigns - Schedule one email to many recipients (protected)
+// Accepts JSON with a `recipients` array, or multipart/form-data with a CSV `file`.
+app.post('/campaigns', authenticateScope('schedule'), handleCsvUpload, async (req, res) => {
+  try {
+    const {
+      name,
+      scheduledAt,
+      delayBetweenEmails,
+      hourlyLimit,
+      skipInvalid,
+      templateId,
+      sendingAccountId,
+      track
+    } = req.body;
+    let { subject, variables, attachmentIds } = req.body;
+    let { text: body, html } = resolveBodyParts(req.body);
+    const senderId = req.user.userId;
+
+    if (!templateId && (!subject || !body)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: either templateId or subject and body/text/html'
+      });
+    }
+
+    // Multipart requests carry attachment IDs as a JSON array or comma separated string
+    if (typeof attachmentIds === 'string') {
+      try {
+        attachmentIds = JSON.parse(attachmentIds);
+      } catch {
+        attachmentIds = attachmentIds.split(',').map((id) => id.trim()).filter(Boolean);
+      }
+    }
+
+    const { attachments, error: attachmentError } = await resolveAttachmentIds(attachmentIds, senderId);
+    if (attachmentError) {
+      return res.status(400).json({
+        success: false,
+        error: attachmentError
+      });
+    }
+
+    const { account, error: accountError } = await resolveSendingAccount(sendingAccountId, req);
+    if (accountError) {
+      return res.status(404).json({
+        success: false,
+        error: accountError
+      });
+    }
+
+    // Multipart requests carry variables as a JSON string
+    if (typeof variables === 'string') {
+      try {
+        variables = JSON.parse(variables);
+      } catch {
+        return res.status(400).json({
+          success: false,
+          error: 'variables must be valid JSON'
+        });
+      }
+    }
+
+    const variablesError = validateVariables(variables);
+    if (variablesError) {
+      return res.status(400).json({
+        success: false,
+        error: variablesError
+      });
+    }
+
+    const { timezone, error: timezoneError } = await resolveSenderTimezone(senderId, req.body.timezone);
+    if (timezoneError) {
+      return res.status(400).json({
+        success: false,
+        error: timezoneError
+      });
+    }
+
+    // Multipart requests carry the send window as a JSON string
+    let sendWindowInput = req.body.sendWindow;
+    if (typeof sendWindowInput === 'string') {
+      try {
+        sendWindowInput = JSON.parse(sendWindowInput);
+      } catch {
+        return res.status(400).json({
+          success: false,
+          error: 'sendWindow must be valid JSON'
+        });
+      }
+    }
+
+    const { sendWindow, recipientTimezone, error: sendWindowError } = resolveSendWindow({
+      sendWindow: sendWindowInput,
+      recipientTimezone: req.body.recipientTimezone
+    });
+    if (sendWindowError) {
+      return res.status(400).json({
+        success: false,
+        error: sendWindowError
+      });
+    }
+
+    let templateVersion = null;
+    if (templateId) {
+      templateVersion = await findTemplateVersion(templateId, senderId);
+      if (!templateVersion) {
+        return res.status(404).json({
+          success: false,
+          error: 'Template not found'
+        });
+      }
+      subject = templateVersion.subject;
+      body = templateVersion.text;
+      html = templateVersion.html;
+    }
+
+    let rows;
+    try {
+      rows = readCampaignRecipients(req);
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        error: 'Could not parse recipients CSV',
+        message: err.message
+      });
+    }
+
+    if (!rows) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide recipients as a list or upload a CSV file'
+      });
+    }
+
+    const { valid: validRows, errors } = validateRecipients(rows);
+
+    // Per-recipient variables are the shared variables overlaid with the recipient's own fields.
+    // A `timezone` field is the recipient's zone for the send window.
+    const valid = [];
+    for (const entry of validRows) {
+      const recipientVariables = { ...(variables || {}), ...entry.fields };
+
+      if (entry.fields.timezone && !isValidTimezone(entry.fields.timezone)) {
+        errors.push({
+          row: entry.row,
+          email: entry.email,
+          error: `Unknown timezone: ${entry.fields.timezone}`
+        });
+        continue;
+      }
+
+      if (templateVersion) {
+        const missingVariables = findMissingVariables(templateVersion.placeholders, recipientVariables);
+        if (missingVariables.length > 0) {
+          errors.push({
+            row: entry.row,
+            email: entry.email,
+            error: `Missing template variables: ${missingVariables.join(', ')}`
+          });
+          continue;
+        }
+      }
+
+      valid.push({
+        ...entry,
+        variables: recipientVariables,
+        recipientTimezone: entry.fields.timezone || recipientTimezone
+      });
+    }
+    errors.sort((a, b) => a.row - b.row);
+
+    const allowPartial = skipInvalid === true || skipInvalid === 'true';
+
+    if (errors.length > 0 && !allowPartial) {
+      return res.status(400).json({
+        success: false,
+        error: `${errors.length} recipient(s) failed validation`,
+        errors
+      });
+    }
+
+    if (valid.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No valid recipients',
+        errors
+      });
+    }
+
+    if (valid.length > MAX_CAMPAIGN_RECIPIENTS) {
+      return res.status(400).json({
+        success: false,
+        error: `A campaign can have at most ${MAX_CAMPAIGN_RECIPIENTS} recipients`
+      });
+    }
+
+    const schedule = resolveSchedule(scheduledAt, timezone, { looseFormats: !namesTimezone(req.body) });
+    if (schedule.error) {
+      return res.status(400).json({
+        success: false,
+        error: schedule.error
+      });
+    }
+    const { scheduledTime } = schedule;
+
+    // Enforce the sender's quotas; unset settings fall back to their profile defaults
+    const user = await findUserForToken(req.user);
+    const { hourlyLimit: limit, error: hourlyLimitError } = resolveHourlyLimit(hourlyLimit, user);
+    if (hourlyLimitError) {
+      return res.status(400).json({
+        success: false,
+        error: hourlyLimitError
+      });
+    }
+
+    const spacing = delayBetweenEmails !== undefined && delayBetweenEmails !== ''
+      ? Math.max(parseInt(delayBetweenEmails) || 0, 0)
+      : user.defaultDelayBetweenEmails;
+    const trackingEnabled = track !== undefined && track !== ''
+      ? track === true || track === 'true'
+      : user.defaultTrackingEnabled;
+
+    // Create the campaign and all of its emails together
+    const created = await sequelize.transaction(async (transaction) => {
+      // The pending quota is checked with the sender's row locked, see checkSchedulingQuotas
+      const quotaError = await checkSchedulingQuotas(senderId, valid.length, transaction);
+      if (quotaError) {
+        return { quotaError };
+      }
+
+      const campaign = await Campaign.create({
+        name: name || subject,
+        subject,
+        body,
+        html,
+        senderId,
+        scheduledAt: scheduledTime,
+        totalRecipients: valid.length,
+        delayBetweenEmails: spacing,
+        hourlyLimit: limit,
+        templateId: templateVersion ? templateId : null,
+        sendingAccountId: account ? account.id : null,
+        apiKeyId: req.user.apiKeyId || null,
+        trackingEnabled,
+        timezone,
+        sendWindow
+      }, { transaction });
+
+      // Staggered by delayBetweenEmails, then moved into each recipient's send window
+      const emailLogs = await EmailLog.bulkCreate(
+        valid.map(({ email, variables: recipientVariables, recipientTimezone: recipientZone }, index) => ({
+          recipient: email,
+          subject,
+          body,
+          html,
+          senderId,
+          campaignId: campaign.id,
+          scheduledAt: nextSendWindowStart(
+            sendWindow,
+            recipientZone || timezone,
+            new Date(scheduledTime.getTime() + index * spacing * 1000)
+          ),
+          status: 'PENDING',
+          delayBetweenEmails: spacing,
+          hourlyLimit: limit,
+          templateId: templateVersion ? templateId : null,
+          templateVersion: templateVersion ? templateVersion.version : null,
+          variables: templateVersion ? recipientVariables : null,
+          sendingAccountId: account ? account.id : null,
+          apiKeyId: req.user.apiKeyId || null,
+          trackingEnabled,
+          timezone,
+          recipientTimezone: recipientZone || null,
+          sendWindow
+        })),
+        { transaction, validate: true }
+      );
+
+      if (attachments.length > 0) {
+        await EmailAttachment.bulkCreate(
+          emailLogs.flatMap((emailLog) => attachments.map((attachment) => ({
+            emailLogId: emailLog.id,
+            attachmentId: attachment.id
+          }))),
+          { transaction }
+        );
+      }
+
+      await queueEmailJobs(emailLogs, transaction);
+      dispatchAfterCommit(transaction);
+
+      return { campaign, emailLogs };
+    });
+
+    if (created.quotaError) {
+      return res.status(429).json({
+        success: false,
+        error: created.quotaError
+      });
+    }
+    const { campaign, emailLogs } = created;
+
+    console.log(`Campaign ${campaign.id} scheduled: ${emailLogs.length} emails, ${errors.length} skipped, spacing ${spacing}s`);
+
+    const suppressed = await findSuppressions(senderId, emailLogs.map((emailLog) => emailLog.recipient));
+    const warnings = [...suppressed.values()].map(
+      (suppression) => `Recipient ${suppression.email} is on the suppression list (${suppression.reason}) and will not be sent to`
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: 'Campaign scheduled successfully',
+      data: {
+        campaignId: campaign.id,
+        name: campaign.name,
+        scheduledAt: scheduledTime,
+        scheduledAtLocal: formatInZone(scheduledTime, timezone),
+        timezone,
+        sendWindow,
+        totalRecipients: emailLogs.length,
+        skipped: errors.length,
+        errors,
+        attachments: attachments.map(serializeAttachment),
+        delayBetweenEmails: spacing,
+        hourlyLimit: limit,
+        status: campaign.status
+      },
+      warnings
+    });
+  } catch (error) {
+    console.error('Error scheduling campaign:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to schedule campaign',
+      message: error.message
+    });
+  }
+});
+
+// GET /campaigns - List campaigns (protected)
+app.get('/campaigns', authenticateToken, async (req, res) => {
+  try {
+    const campaigns = await Campaign.findAll({
+      where: { senderId: req.user.userId },
+      order: [['createdAt', 'DESC']],
+      limit: 100
+    });
+
+    return res.json({
+      success: true,
+      count: campaigns.length,
+      data: campaigns
+    });
+  } catch (error) {
+    console.error('Error fetching campaigns:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch campaigns',
+      message: error.message
+    });
+  }
+});
+
+// GET /campaigns/:id - Get campaign with delivery progress (protected)
+app.get('/campaigns/:id', authenticateToken, async (req, res) => {
+  try {
+    const campaign = await Campaign.findOne({
+      where: { id: req.params.id, senderId: req.user.userId }
+    });
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    const progress = await getCampaignProgress(campaign);
+
+    return res.json({
+      success: true,
+      data: {
+        ...campaign.toJSON(),
+        progress
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching campaign:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch campaign',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /campaigns/:id - Cancel every remaining email of a campaign (protected)
+app.delete('/campaigns/:id', authenticateToken, async (req, res) => {
+  try {
+    const campaign = await Campaign.findOne({
+      where: { id: req.params.id, senderId: req.user.userId }
+    });
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    const remaining = await EmailLog.findAll({
+      where: { campaignId: campaign.id, status: ['PENDING', 'THROTTLED'] },
+      attributes: ['id']
+    });
+
+    // Emails already being sent can't be stopped
+    const notCancelled = [];
+    for (const { id } of remaining) {
+      const job = await emailQueue.getJob(id);
+      if (job && await job.isActive()) {
+        notCancelled.push({ id, reason: 'Email is being sent' });
+      }
+    }
+    const inFlight = notCancelled.map(({ id }) => id);
+
+    // Cancel the rows, queue their job removals and close the campaign in one transaction
+    const cancelledIds = await sequelize.transaction(async (transaction) => {
+      const emails = await EmailLog.findAll({
+        where: {
+          campaignId: campaign.id,
+          status: ['PENDING', 'THROTTLED'],
+          ...(inFlight.length > 0 && { id: { [Op.notIn]: inFlight } })
+        },
+        attributes: ['id'],
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      const ids = emails.map((emailLog) => emailLog.id);
+
+      if (ids.length > 0) {
+        await EmailLog.update({ status: 'CANCELLED' }, { where: { id: ids }, transaction });
+        for (const id of ids) {
+          await queueJobRemoval(id, transaction);
+        }
+        dispatchAfterCommit(transaction);
+      }
+
+      await campaign.update({ status: 'CANCELLED', cancelledAt: new Date() }, { transaction });
+      return ids;
+    });
+
+    console.log(`Campaign ${campaign.id} cancelled: ${cancelledIds.length} emails cancelled, ${notCancelled.length} already in flight`);
+
+    return res.json({
+      success: true,
+      message: 'Campaign cancelled',
+      data: {
+        campaignId: campaign.id,
+        cancelled: cancelledIds.length,
+        notCancelled,
+        progress: await getCampaignProgress(campaign)
+      }
+    });
+  } catch (error) {
+    console.error('Error cancelling campaign:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to cancel campaign',
+      message: error.message
+    });
+  }
+});
+
+// ============= TEMPLATE ROUTES =============
+
+// Validate template content; returns an error message or null
+const validateTemplateContent = ({ subject, text }) => {
+  if (!subject || !text) {
+    return 'Missing required fields: subject, and text or html';
+  }
+  return null;
+};
+
+// Serialize a template together with one of its versions
+const serializeTemplate = (template, version) => ({
+  id: template.id,
+  name: template.name,
+  description: template.description,
+  currentVersion: template.currentVersion,
+  createdAt: template.createdAt,
+  updatedAt: template.updatedAt,
+  content: version ? {
+    version: version.version,
+    subject: version.subject,
+    text: version.text,
+    html: version.html,
+    placeholders: version.placeholders,
+    createdAt: version.createdAt
+  } : null
+});
+
+// POST /templates - Create a template (protected)
+app.post('/templates', authenticateToken, async (req, res) => {
+  try {
+    const { name, description, subject } = req.body;
+    const { text, html } = resolveBodyParts(req.body);
+    const senderId = req.user.userId;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: name'
+      });
+    }
+
+    const contentError = validateTemplateContent({ subject, text });
+    if (contentError) {
+      return res.status(400).json({
+        success: false,
+        error: contentError
+      });
+    }
+
+    const { template, version } = await sequelize.transaction(async (transaction) => {
+      const template = await Template.create({
+        senderId,
+        name,
+        description,
+        currentVersion: 1
+      }, { transaction });
+
+      const version = await TemplateVersion.create({
+        templateId: template.id,
+        version: 1,
+        subject,
+        text,
+        html: html || null,
+        placeholders: extractPlaceholders(subject, text, html)
+      }, { transaction });
+
+      return { template, version };
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Template created successfully',
+      data: serializeTemplate(template, version)
+    });
+  } catch (error) {
+    console.error('Error creating template:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create template',
+      message: error.message
+    });
+  }
+});
+
+// GET /templates - List templates with their current content (protected)
+app.get('/templates', authenticateToken, async (req, res) => {
+  try {
+    const templates = await Template.findAll({
+      where: { senderId: req.user.userId },
+      order: [['updatedAt', 'DESC']]
+    });
+
+    const versions = templates.length === 0 ? [] : await TemplateVersion.findAll({
+      where: {
+        [Op.or]: templates.map((template) => ({
+          templateId: template.id,
+          version: template.currentVersion
+        }))
+      }
+    });
+    const versionsByTemplate = new Map(versions.map((version) => [version.templateId, version]));
+
+    return res.json({
+      success: true,
+      count: templates.length,
+      data: templates.map((template) => serializeTemplate(template, versionsByTemplate.get(template.id)))
+    });
+  } catch (error) {
+    console.error('Error fetching templates:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch templates',
+      message: error.message
+    });
+  }
+});
+
+// GET /templates/:id - Get a template, optionally at a specific ?version= (protected)
+app.get('/templates/:id', authenticateToken, async (req, res) => {
+  try {
+    const template = await Template.findOne({
+      where: { id: req.params.id, senderId: req.user.userId }
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    const versions = await TemplateVersion.findAll({
+      where: { templateId: template.id },
+      order: [['version', 'DESC']]
+    });
+
+    const requestedVersion = parseInt(req.query.version) || template.currentVersion;
+    const version = versions.find((v) => v.version === requestedVersion);
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: `Template version ${requestedVersion} not found`
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: {
+        ...serializeTemplate(template, version),
+        versions: versions.map((v) => ({ version: v.version, subject: v.subject, createdAt: v.createdAt }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching template:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch template',
+      message: error.message
+    });
+  }
+});
+
+// PUT /templates/:id - Update a template; content changes create a new version (protected)
+app.put('/templates/:id', authenticateToken, async (req, res) => {
+  try {
+    const template = await Template.findOne({
+      where: { id: req.params.id, senderId: req.user.userId }
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    // The template row is locked while the next version is written, so concurrent updates get
+    // consecutive versions instead of colliding on the same one
+    const result = await sequelize.transaction(async (transaction) => {
+      await template.reload({ transaction, lock: transaction.LOCK.UPDATE });
+      const current = await TemplateVersion.findOne({
+        where: { templateId: template.id, version: template.currentVersion },
+        transaction
+      });
+
+      const { name, description } = req.body;
+      const subject = req.body.subject ?? current.subject;
+      const html = req.body.html !== undefined
+        ? (req.body.html ? sanitizeEmailHtml(req.body.html) : null)
+        : current.html;
+      // New HTML without new text regenerates the plain-text part
+      const text = req.body.text ?? (req.body.html ? htmlToPlainText(html) : current.text);
+
+      const contentError = validateTemplateContent({ subject, text });
+      if (contentError) {
+        return { error: contentError };
+      }
+
+      const contentChanged = subject !== current.subject || text !== current.text || html !== current.html;
+      let version = current;
+
+      if (contentChanged) {
+        version = await TemplateVersion.create({
+          templateId: template.id,
+          version: template.currentVersion + 1,
+          subject,
+          text,
+          html,
+          placeholders: extractPlaceholders(subject, text, html)
+        }, { transaction });
+      }
+
+      await template.update({
+        name: name ?? template.name,
+        description: description !== undefined ? description : template.description,
+        currentVersion: version.version
+      }, { transaction });
+
+      return { version, contentChanged };
+    });
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+    const { version, contentChanged } = result;
+
+    return res.json({
+      success: true,
+      message: contentChanged ? `Template updated to version ${version.version}` : 'Template updated',
+      data: serializeTemplate(template, version)
+    });
+  } catch (error) {
+    console.error('Error updating template:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update template',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /templates/:id - Delete a template that no pending email uses (protected)
+app.delete('/templates/:id', authenticateToken, async (req, res) => {
+  try {
+    const template = await Template.findOne({
+      where: { id: req.params.id, senderId: req.user.userId }
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    const pending = await EmailLog.count({
+      where: { templateId: template.id, status: ['PENDING', 'THROTTLED'] }
+    });
+
+    if (pending > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Template is used by ${pending} pending email(s)`
+      });
+    }
+
+    await template.destroy();
+
+    return res.json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete template',
+      message: error.message
+    });
+  }
+});
+
+// POST /templates/:id/preview - Render a template without scheduling anything (protected)
+app.post('/templates/:id/preview', authenticateToken, async (req, res) => {
+  try {
+    const { variables, version } = req.body;
+
+    const variablesError = validateVariables(variables);
+    if (variablesError) {
+      return res.status(400).json({
+        success: false,
+        error: variablesError
+      });
+    }
+
+    const templateVersion = await findTemplateVersion(req.params.id, req.user.userId, parseInt(version) || undefined);
+    if (!templateVersion) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    const missingVariables = findMissingVariables(templateVersion.placeholders, variables);
+    if (missingVariables.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing template variables',
+        missingVariables
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: {
+        version: templateVersion.version,
+        ...renderTemplate(templateVersion, variables)
+      }
+    });
+  } catch (error) {
+    console.error('Error previewing template:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to preview template',
+      message: error.message
+    });
+  }
+});
+
+// ============= RECURRING SCHEDULE ROUTES =============
+
+// Find one of the current user's recurring schedules
+const findRecurringSchedule = (req) => RecurringSchedule.findOne({
+  where: { id: req.params.id, senderId: req.user.userId }
+});
+
+// GET /recurring-schedules - List recurring schedules (protected, optional ?status=)
+app.get('/recurring-schedules', authenticateToken, async (req, res) => {
+  try {
+    const where = { senderId: req.user.userId };
+    if (req.query.status) {
+      where.status = req.query.status;
+    }
+
+    const schedules = await RecurringSchedule.findAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit: 100
+    });
+
+    return res.json({
+      success: true,
+      count: schedules.length,
+      data: schedules
+    });
+  } catch (error) {
+    console.error('Error fetching recurring schedules:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch recurring schedules',
+      message: error.message
+    });
+  }
+});
+
+// GET /recurring-schedules/:id - Get a recurring schedule with its recent occurrences (protected)
+app.get('/recurring-schedules/:id', authenticateToken, async (req, res) => {
+  try {
+    const schedule = await findRecurringSchedule(req);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recurring schedule not found'
+      });
+    }
+
+    const occurrences = await EmailLog.findAll({
+      where: { recurringScheduleId: schedule.id },
+      attributes: ['id', 'scheduledAt', 'status', 'createdAt', 'updatedAt'],
+      order: [['scheduledAt', 'DESC']],
+      limit: 50
+    });
+
+    return res.json({
+      success: true,
+      data: {
+        ...schedule.toJSON(),
+        occurrences
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching recurring schedule:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch recurring schedule',
+      message: error.message
+    });
+  }
+});
+
+// POST /recurring-schedules/:id/pause - Stop creating occurrences (protected)
+app.post('/recurring-schedules/:id/pause', authenticateToken, async (req, res) => {
+  try {
+    const schedule = await findRecurringSchedule(req);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recurring schedule not found'
+      });
+    }
+
+    if (schedule.status !== 'ACTIVE') {
+      return res.status(409).json({
+        success: false,
+        error: `Recurring schedule is ${schedule.status}`
+      });
+    }
+
+    // Flip the status first so a worker picking up the occurrence won't create another
+    const cancelled = await sequelize.transaction(async (transaction) => {
+      await schedule.update({ status: 'PAUSED' }, { transaction });
+      const cancelled = await cancelPendingOccurrence(schedule, transaction);
+      await schedule.update({ nextRunAt: null, currentOccurrenceId: null }, { transaction });
+      return cancelled;
+    });
+
+    return res.json({
+      success: true,
+      message: 'Recurring schedule paused',
+      data: {
+        ...schedule.toJSON(),
+        cancelledUpcomingOccurrence: cancelled
+      }
+    });
+  } catch (error) {
+    console.error('Error pausing recurring schedule:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to pause recurring schedule',
+      message: error.message
+    });
+  }
+});
+
+// POST /recurring-schedules/:id/resume - Continue from the next occurrence after now (protected)
+app.post('/recurring-schedules/:id/resume', authenticateToken, async (req, res) => {
+  try {
+    const schedule = await findRecurringSchedule(req);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recurring schedule not found'
+      });
+    }
+
+    if (schedule.status !== 'PAUSED') {
+      return res.status(409).json({
+        success: false,
+        error: `Recurring schedule is ${schedule.status}`
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await schedule.update({ status: 'ACTIVE' }, { transaction });
+      await scheduleNextOccurrence(schedule, new Date(), transaction);
+    });
+
+    return res.json({
+      success: true,
+      message: schedule.status === 'ACTIVE' ? 'Recurring schedule resumed' : 'Recurring schedule has no occurrences left',
+      data: schedule
+    });
+  } catch (error) {
+    console.error('Error resuming recurring schedule:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to resume recurring schedule',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /recurring-schedules/:id - Delete a schedule and cancel its upcoming occurrence (protected)
+// Past occurrences are kept as regular email logs.
+app.delete('/recurring-schedules/:id', authenticateToken, async (req, res) => {
+  try {
+    const schedule = await findRecurringSchedule(req);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recurring schedule not found'
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await schedule.update({ status: 'PAUSED' }, { transaction });
+      await cancelPendingOccurrence(schedule, transaction);
+      await schedule.destroy({ transaction });
+    });
+
+    return res.json({
+      success: true,
+      message: 'Recurring schedule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting recurring schedule:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete recurring schedule',
+      message: error.message
+    });
+  }
+});
+
+// ============= ATTACHMENT ROUTES =============
+
+// POST /attachments - Upload a file in the `file` field (protected)
+app.post('/attachments', authenticateToken, (req, res) => {
+  attachmentUpload.single('file')(req, res, async (err) => {
+    if (err) {
+      const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        error: tooLarge ? 'Attachment is too large' : 'Invalid attachment upload',
+        message: err.message
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing file: upload it in the "file" field'
+      });
+    }
+
+    try {
+      const user = await findUserForToken(req.user);
+      const storageQuotaError = await checkStorageQuota(user, req.file.size);
+      if (storageQuotaError) {
+        await removeStoredFile({ storagePath: req.file.path });
+        return res.status(413).json({
+          success: false,
+          error: storageQuotaError
+        });
+      }
+
+      const attachment = await Attachment.create({
+        senderId: req.user.userId,
+        filename: req.file.originalname,
+        mimeType: req.file.mimetype,
+        size: req.file.size,
+        storagePath: req.file.path
+      });
+
+      console.log(`Attachment uploaded: ${attachment.id} (${attachment.filename}, ${attachment.size} bytes)`);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Attachment uploaded successfully',
+        data: serializeAttachment(attachment)
+      });
+    } catch (error) {
+      await removeStoredFile({ storagePath: req.file.path }).catch(() => {});
+      console.error('Error saving attachment:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to save attachment',
+        message: error.message
+      });
+    }
+  });
+});
+
+// GET /attachments - List uploaded attachments (protected)
+app.get('/attachments', authenticateToken, async (req, res) => {
+  try {
+    const attachments = await Attachment.findAll({
+      where: { senderId: req.user.userId },
+      order: [['createdAt', 'DESC']],
+      limit: 100
+    });
+
+    return res.json({
+      success: true,
+      count: attachments.length,
+      data: attachments.map(serializeAttachment)
+    });
+  } catch (error) {
+    console.error('Error fetching attachments:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch attachments',
+      message: error.message
+    });
+  }
+});
+
+// GET /attachments/:id - Get attachment metadata (protected)
+app.get('/attachments/:id', authenticateToken, async (req, res) => {
+  try {
+    const attachment = await Attachment.findOne({
+      where: { id: req.params.id, senderId: req.user.userId }
+    });
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attachment not found'
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: serializeAttachment(attachment)
+    });
+  } catch (error) {
+    console.error('Error fetching attachment:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch attachment',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /attachments/:id - Delete an attachment no pending email uses (protected)
+app.delete('/attachments/:id', authenticateToken, async (req, res) => {
+  try {
+    const senderId = req.user.userId;
+    const attachment = await Attachment.findOne({
+      where: { id: req.params.id, senderId }
+    });
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attachment not found'
+      });
+    }
+
+    const pending = await EmailLog.count({
+      where: { senderId, status: ['PENDING', 'THROTTLED'] },
+      include: [{
+        model: Attachment,
+        as: 'attachments',
+        where: { id: attachment.id },
+        required: true
+      }]
+    });
+
+    const schedules = await RecurringSchedule.findAll({
+      where: { senderId, status: ['ACTIVE', 'PAUSED'] },
+      attributes: ['id', 'attachmentIds']
+    });
+    const usedBySchedule = schedules.some((schedule) => (schedule.attachmentIds || []).includes(attachment.id));
+
+    if (pending > 0 || usedBySchedule) {
+      return res.status(409).json({
+        success: false,
+        error: 'Attachment is used by pending emails or recurring schedules'
+      });
+    }
+
+    await EmailAttachment.destroy({ where: { attachmentId: attachment.id } });
+    await attachment.destroy();
+    await removeStoredFile(attachment);
+
+    return res.json({
+      success: true,
+      message: 'Attachment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting attachment:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete attachment',
+      message: error.message
+    });
+  }
+});
+
+// ============= SENDING ACCOUNT ROUTES =============
+// With X-Workspace-Id these work on the workspace's shared accounts, which only admins can change
+
+// Never return credentials
+const serializeAccount = (account) => ({
+  id: account.id,
+  name: account.name,
+  host: account.host,
+  port: account.port,
+  secure: account.secure,
+  requireTls: account.requireTls,
+  username: account.username,
+  hasPassword: Boolean(account.encryptedPassword),
+  fromName: account.fromName,
+  fromEmail: account.fromEmail,
+  replyTo: account.replyTo,
+  isDefault: account.isDefault,
+  verifiedAt: account.verifiedAt,
+  lastError: account.lastError,
+  createdAt: account.createdAt,
+  updatedAt: account.updatedAt
+});
+
+// Validate account fields; on create the connection and from fields are required.
+// Returns { error } or { values } ready for the model.
+const parseAccountInput = (input, { partial = false } = {}) => {
+  const values = {};
+
+  for (const field of ['name', 'host', 'fromEmail']) {
+    if (input[field] !== undefined) {
+      if (!input[field] || typeof input[field] !== 'string') {
+        return { error: `${field} must be a non-empty string` };
+      }
+      values[field] = input[field];
+    } else if (!partial) {
+      return { error: `Missing required field: ${field}` };
+    }
+  }
+
+  if (values.fromEmail && !EMAIL_REGEX.test(values.fromEmail)) {
+    return { error: 'Invalid email format for fromEmail' };
+  }
+
+  if (input.replyTo !== undefined) {
+    if (input.replyTo && !EMAIL_REGEX.test(input.replyTo)) {
+      return { error: 'Invalid email format for replyTo' };
+    }
+    values.replyTo = input.replyTo || null;
+  }
+
+  if (input.port !== undefined) {
+    const port = parseInt(input.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      return { error: 'port must be between 1 and 65535' };
+    }
+    values.port = port;
+  }
+
+  for (const field of ['secure', 'requireTls', 'isDefault']) {
+    if (input[field] !== undefined) {
+      values[field] = input[field] === true || input[field] === 'true';
+    }
+  }
+
+  if (input.fromName !== undefined) {
+    values.fromName = input.fromName || null;
+  }
+
+  if (input.username !== undefined) {
+    values.username = input.username || null;
+  }
+
+  if (input.password !== undefined) {
+    values.encryptedPassword = input.password ? encrypt(input.password) : null;
+  }
+
+  return { values };
+};
+
+// Make `account` the only default account of its owner (the workspace for shared accounts)
+const setDefaultAccount = async (account, transaction) => {
+  const owner = account.workspaceId
+    ? { workspaceId: account.workspaceId }
+    : { senderId: account.senderId, workspaceId: null };
+
+  await SendingAccount.update(
+    { isDefault: false },
+    { where: { ...owner, id: { [Op.ne]: account.id } }, transaction }
+  );
+};
+
+// POST /accounts - Register a sending account (protected)
+app.post('/accounts', authenticateToken, workspaceAccess('ADMIN'), async (req, res) => {
+  try {
+    const { values, error } = parseAccountInput(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const account = await sequelize.transaction(async (transaction) => {
+      const account = await SendingAccount.create({
+        ...values,
+        senderId: req.user.userId,
+        workspaceId: req.workspace ? req.workspace.id : null
+      }, { transaction });
+
+      if (account.isDefault) {
+        await setDefaultAccount(account, transaction);
+      }
+
+      return account;
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Sending account created successfully',
+      data: serializeAccount(account)
+    });
+  } catch (error) {
+    console.error('Error creating sending account:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create sending account',
+      message: error.message
+    });
+  }
+});
+
+// GET /accounts - List sending accounts (protected)
+app.get('/accounts', authenticateToken, workspaceAccess('VIEWER'), async (req, res) => {
+  try {
+    const accounts = await SendingAccount.findAll({
+      where: ownerScope(req),
+      order: [['isDefault', 'DESC'], ['createdAt', 'ASC']]
+    });
+
+    return res.json({
+      success: true,
+      count: accounts.length,
+      data: accounts.map(serializeAccount)
+    });
+  } catch (error) {
+    console.error('Error fetching sending accounts:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sending accounts',
+      message: error.message
+    });
+  }
+});
+
+// GET /accounts/:id - Get a sending account (protected)
+app.get('/accounts/:id', authenticateToken, workspaceAccess('VIEWER'), async (req, res) => {
+  try {
+    const account = await SendingAccount.findOne({
+      where: { id: req.params.id, ...ownerScope(req) }
+    });
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sending account not found'
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: serializeAccount(account)
+    });
+  } catch (error) {
+    console.error('Error fetching sending account:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sending account',
+      message: error.message
+    });
+  }
+});
+
+// PUT /accounts/:id - Update a sending account (protected)
+app.put('/accounts/:id', authenticateToken, workspaceAccess('ADMIN'), async (req, res) => {
+  try {
+    const account = await SendingAccount.findOne({
+      where: { id: req.params.id, ...ownerScope(req) }
+    });
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sending account not found'
+      });
+    }
+
+    const { values, error } = parseAccountInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    // Changed connection settings need to be verified again
+    const connectionChanged = ['host', 'port', 'secure', 'requireTls', 'username', 'encryptedPassword']
+      .some((field) => values[field] !== undefined);
+    if (connectionChanged) {
+      values.verifiedAt = null;
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await account.update(values, { transaction });
+      if (account.isDefault) {
+        await setDefaultAccount(account, transaction);
+      }
+    });
+
+    return res.json({
+      success: true,
+      message: 'Sending account updated successfully',
+      data: serializeAccount(account)
+    });
+  } catch (error) {
+    console.error('Error updating sending account:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update sending account',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /accounts/:id - Delete a sending account no pending email uses (protected)
+app.delete('/accounts/:id', authenticateToken, workspaceAccess('ADMIN'), async (req, res) => {
+  try {
+    const account = await SendingAccount.findOne({
+      where: { id: req.params.id, ...ownerScope(req) }
+    });
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sending account not found'
+      });
+    }
+
+    const [pending, schedules] = await Promise.all([
+      EmailLog.count({ where: { sendingAccountId: account.id, status: ['PENDING', 'THROTTLED'] } }),
+      RecurringSchedule.count({ where: { sendingAccountId: account.id, status: ['ACTIVE', 'PAUSED'] } })
+    ]);
+
+    if (pending > 0 || schedules > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Sending account is used by ${pending} pending email(s) and ${schedules} recurring schedule(s)`
+      });
+    }
+
+    await account.destroy();
+
+    return res.json({
+      success: true,
+      message: 'Sending account deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting sending account:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete sending account',
+      message: error.message
+    });
+  }
+});
+
+// POST /accounts/:id/verify - Check that the SMTP server accepts the connection and credentials (protected)
+app.post('/accounts/:id/verify', authenticateToken, workspaceAccess('ADMIN'), async (req, res) => {
+  try {
+    const account = await SendingAccount.findOne({
+      where: { id: req.params.id, ...ownerScope(req) }
+    });
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sending account not found'
+      });
+    }
+
+    const transporter = createAccountTransporter(account);
+    let verifyError = null;
+
+    try {
+      await transporter.verify();
+    } catch (err) {
+      verifyError = err.message;
+    } finally {
+      transporter.close();
+    }
+
+    await account.update(verifyError
+      ? { lastError: verifyError }
+      : { verifiedAt: new Date(), lastError: null });
+
+    console.log(`Sending account ${account.id} verification: ${verifyError ? `failed (${verifyError})` : 'ok'}`);
+
+    return res.json({
+      success: true,
+      data: {
+        verified: !verifyError,
+        error: verifyError,
+        account: serializeAccount(account)
+      }
+    });
+  } catch (error) {
+    console.error('Error verifying sending account:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to verify sending account',
+      message: error.message
+    });
+  }
+});
+
+// ============= WEBHOOK ROUTES =============
+
+const serializeWebhook = (webhook) => ({
+  id: webhook.id,
+  url: webhook.url,
+  description: webhook.description,
+  events: webhook.events,
+  active: webhook.active,
+  createdAt: webhook.createdAt,
+  updatedAt: webhook.updatedAt
+});
+
+// Validate webhook fields. Returns { error } or { values } ready for the model.
+const parseWebhookInput = async (input, { partial = false } = {}) => {
+  const values = {};
+
+  if (input.url !== undefined || !partial) {
+    let url;
+    try {
+      url = new URL(input.url);
+    } catch {
+      return { error: 'url must be a valid absolute URL' };
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return { error: 'url must use http or https' };
+    }
+    const target = await resolveWebhookHost(url.hostname);
+    if (target.error) {
+      return { error: target.error };
+    }
+    values.url = url.toString();
+  }
+
+  if (input.events !== undefined || !partial) {
+    const events = input.events ?? ['*'];
+    if (!Array.isArray(events) || events.length === 0) {
+      return { error: 'events must be a non-empty array' };
+    }
+    const unknown = events.filter((event) => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      return { error: `Unknown event(s): ${unknown.join(', ')}. Supported: ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+    values.events = [...new Set(events)];
+  }
+
+  if (input.description !== undefined) {
+    values.description = input.description || null;
+  }
+
+  if (input.active !== undefined) {
+    values.active = input.active === true || input.active === 'true';
+  }
+
+  return { values };
+};
+
+const findWebhook = (req) => Webhook.findOne({
+  where: { id: req.params.id, senderId: req.user.userId }
+});
+
+// POST /webhooks - Register a webhook endpoint; the signing secret is only returned here (protected)
+app.post('/webhooks', authenticateToken, async (req, res) => {
+  try {
+    const { values, error } = await parseWebhookInput(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const secret = req.body.secret ?? generateWebhookSecret();
+    if (typeof secret !== 'string' || secret.length < WEBHOOK_SECRET_MIN_LENGTH || secret.length > WEBHOOK_SECRET_MAX_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `secret must be a string of ${WEBHOOK_SECRET_MIN_LENGTH} to ${WEBHOOK_SECRET_MAX_LENGTH} characters`
+      });
+    }
+
+    const webhook = await Webhook.create({
+      ...values,
+      senderId: req.user.userId,
+      encryptedSecret: encrypt(secret)
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully. Store the secret now, it will not be shown again.',
+      data: {
+        ...serializeWebhook(webhook),
+        secret
+      }
+    });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create webhook',
+      message: error.message
+    });
+  }
+});
+
+// GET /webhooks - List webhooks (protected)
+app.get('/webhooks', authenticateToken, async (req, res) => {
+  try {
+    const webhooks = await Webhook.findAll({
+      where: { senderId: req.user.userId },
+      order: [['createdAt', 'DESC']]
+    });
+
+    return res.json({
+      success: true,
+      count: webhooks.length,
+      data: webhooks.map(serializeWebhook)
+    });
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhooks',
+      message: error.message
+    });
+  }
+});
+
+// GET /webhooks/:id - Get a webhook (protected)
+app.get('/webhooks/:id', authenticateToken, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: serializeWebhook(webhook)
+    });
+  } catch (error) {
+    console.error('Error fetching webhook:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook',
+      message: error.message
+    });
+  }
+});
+
+// PUT /webhooks/:id - Update a webhook; { rotateSecret: true } issues a new secret (protected)
+app.put('/webhooks/:id', authenticateToken, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    const { values, error } = await parseWebhookInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    let secret;
+    if (req.body.rotateSecret === true) {
+      secret = generateWebhookSecret();
+      values.encryptedSecret = encrypt(secret);
+    }
+
+    await webhook.update(values);
+
+    return res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: {
+        ...serializeWebhook(webhook),
+        ...(secret ? { secret } : {})
+      }
+    });
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update webhook',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /webhooks/:id - Delete a webhook and its delivery log (protected)
+app.delete('/webhooks/:id', authenticateToken, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    await WebhookDelivery.destroy({ where: { webhookId: webhook.id } });
+    await webhook.destroy();
+
+    return res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete webhook',
+      message: error.message
+    });
+  }
+});
+
+// GET /webhooks/:id/deliveries - Delivery attempts, newest first (protected)
+// Optional filters: ?event=, ?success=true|false, ?limit= (max 200)
+app.get('/webhooks/:id/deliveries', authenticateToken, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    const where = { webhookId: webhook.id };
+    if (req.query.event) {
+      where.event = req.query.event;
+    }
+    if (req.query.success !== undefined) {
+      where.success = req.query.success === 'true';
+    }
+
+    const deliveries = await WebhookDelivery.findAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit: Math.min(parseInt(req.query.limit) || 50, 200)
+    });
+
+    return res.json({
+      success: true,
+      count: deliveries.length,
+      data: deliveries
+    });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook deliveries',
+      message: error.message
+    });
+  }
+});
+
+// POST /webhooks/:id/test - Send a signed webhook.test event right away and report the result (protected)
+app.post('/webhooks/:id/test', authenticateToken, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    const eventId = uuidv4();
+    const delivery = await deliverWebhook(webhook, {
+      eventId,
+      event: 'webhook.test',
+      payload: {
+        id: eventId,
+        event: 'webhook.test',
+        createdAt: new Date().toISOString(),
+        data: { webhookId: webhook.id, message: 'This is a test event' }
+      }
+    });
+
+    return res.json({
+      success: true,
+      data: {
+        delivered: delivery.success,
+        statusCode: delivery.statusCode,
+        error: delivery.error,
+        durationMs: delivery.durationMs,
+        deliveryId: delivery.id
+      }
+    });
+  } catch (error) {
+    console.error('Error testing webhook:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to test webhook',
+      message: error.message
+    });
+  }
+});
+
+// ============= TRACKING ROUTES =============
+
+// Store an open/click for a tracked email and notify webhooks. Unknown or untracked emails are ignored.
+const recordEmailEvent = async (req, emailLogId, type, url = null) => {
+  const emailLog = await EmailLog.findByPk(emailLogId, {
+    attributes: ['id', 'senderId', 'recipient', 'trackingEnabled']
+  });
+
+  if (!emailLog || !emailLog.trackingEnabled) {
+    return;
+  }
+
+  const event = await EmailEvent.create({
+    emailLogId: emailLog.id,
+    senderId: emailLog.senderId,
+    type,
+    url,
+    userAgent: (req.get('user-agent') || '').slice(0, 512) || null,
+    ipAddress: req.ip
+  });
+
+  emitEventSafely(emailLog.senderId, type === 'OPEN' ? 'email.opened' : 'email.clicked', {
+    emailLogId: emailLog.id,
+    recipient: emailLog.recipient,
+    url,
+    userAgent: event.userAgent,
+    occurredAt: event.createdAt
+  });
+};
+
+// GET /t/open/:id - Open tracking pixel (public)
+app.get('/t/open/:id', async (req, res) => {
+  const { id } = req.params;
+
+  if (verifyOpenSignature(id, req.query.s)) {
+    try {
+      await recordEmailEvent(req, id, 'OPEN');
+    } catch (error) {
+      console.error('Error recording open:', error.message);
+    }
+  }
+
+  // Always answer with the pixel so mail clients never show a broken image
+  res.set({
+    'Content-Type': 'image/gif',
+    'Content-Length': TRACKING_PIXEL.length,
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+    Pragma: 'no-cache'
+  });
+  return res.end(TRACKING_PIXEL);
+});
+
+// GET /t/click/:id - Click tracking redirect (public)
+// Only signed URLs are followed so this can't be used as an open redirect.
+app.get('/t/click/:id', async (req, res) => {
+  const { id } = req.params;
+  const url = req.query.u;
+
+  if (typeof url !== 'string' || !verifyClickSignature(id, url, req.query.s)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid tracking link'
+    });
+  }
+
+  try {
+    await recordEmailEvent(req, id, 'CLICK', url);
+  } catch (error) {
+    console.error('Error recording click:', error.message);
+  }
+
+  return res.redirect(302, url);
+});
+
+// GET /stats/engagement - Open and click rates for tracked emails sent in a date range (protected)
+// Query: ?from=&to= (ISO dates, defaults to the last 30 days)
+app.get('/stats/engagement', authenticateToken, async (req, res) => {
+  try {
+    const senderId = req.user.userId;
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 3600 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range: from and to must be ISO dates with from before to'
+      });
+    }
+
+    const emailWhere = {
+      senderId,
+      status: 'SENT',
+      trackingEnabled: true,
+      sentAt: { [Op.between]: [from, to] }
+    };
+
+    const [sent, eventCounts] = await Promise.all([
+      EmailLog.count({ where: emailWhere }),
+      EmailEvent.findAll({
+        attributes: [
+          'type',
+          [sequelize.fn('COUNT', sequelize.col('EmailEvent.id')), 'total'],
+          [sequelize.fn('COUNT', sequelize.fn('DISTINCT', sequelize.col('EmailEvent.emailLogId'))), 'unique']
+        ],
+        include: [{ model: EmailLog, as: 'emailLog', attributes: [], where: emailWhere }],
+        group: ['type'],
+        raw: true
+      })
+    ]);
+
+    const counts = { OPEN: { total: 0, unique: 0 }, CLICK: { total: 0, unique: 0 } };
+    for (const row of eventCounts) {
+      counts[row.type] = { total: parseInt(row.total), unique: parseInt(row.unique) };
+    }
+
+    const rate = (value) => (sent === 0 ? 0 : Math.round((value / sent) * 10000) / 100);
+
+    return res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        sent,
+        opens: counts.OPEN.total,
+        uniqueOpens: counts.OPEN.unique,
+        clicks: counts.CLICK.total,
+        uniqueClicks: counts.CLICK.unique,
+        openRate: rate(counts.OPEN.unique),
+        clickRate: rate(counts.CLICK.unique)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching engagement stats:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch engagement stats',
+      message: error.message
+    });
+  }
+});
+
+// ============= CAPTURED EMAIL ROUTES =============
+// With EMAIL_TRANSPORT=outbox or memory the worker captures emails instead of sending them
+
+const requireCapturingTransport = (req, res, next) => {
+  const access = checkCaptureAccess();
+  if (access.error) {
+    return res.status(access.status).json({
+      success: false,
+      error: access.error
+    });
+  }
+  next();
+};
+
+// GET /outbox - List captured emails, newest first (protected). ?limit= (max 200)
+app.get('/outbox', authenticateToken, requireCapturingTransport, async (req, res) => {
+  try {
+    const messages = await listCapturedMessages(req.user.userId, { limit: parsePageSize(req.query.limit) });
+
+    return res.json({
+      success: true,
+      transport: EMAIL_TRANSPORT,
+      count: messages.length,
+      data: messages
+    });
+  } catch (error) {
+    console.error('Error listing captured emails:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to list captured emails',
+      message: error.message
+    });
+  }
+});
+
+// GET /outbox/:id - A captured email with its raw MIME source (protected)
+// ?format=raw returns the .eml itself
+app.get('/outbox/:id', authenticateToken, requireCapturingTransport, async (req, res) => {
+  try {
+    const message = await getCapturedMessage(req.user.userId, req.params.id);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        error: 'Captured email not found'
+      });
+    }
+
+    if (req.query.format === 'raw') {
+      res.type('message/rfc822');
+      return res.send(message.raw);
+    }
+
+    return res.json({
+      success: true,
+      data: message
+    });
+  } catch (error) {
+    console.error('Error fetching captured email:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch captured email',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /outbox - Delete all of the user's captured emails (protected)
+app.delete('/outbox', authenticateToken, requireCapturingTransport, async (req, res) => {
+  try {
+    const deleted = await clearCapturedMessages(req.user.userId);
+
+    return res.json({
+      success: true,
+      message: `${deleted} captured email(s) deleted`,
+      deleted
+    });
+  } catch (error) {
+    console.error('Error deleting captured emails:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete captured emails',
+      message: error.message
+    });
+  }
+});
+
+// ============= SUPPRESSION ROUTES =============
+
+// Minimal HTML page for the unsubscribe flow
+const unsubscribePage = (title, message, form = '') => `<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+  <body style="font-family: sans-serif; max-width: 480px; margin: 48px auto; text-align: center;">
+    <h2>${escapeHtml(title)}</h2>
+    <p>${escapeHtml(message)}</p>
+    ${form}
+  </body>
+</html>`;
+
+// GET /u/:token - Unsubscribe confirmation page (public)
+app.get('/u/:token', (req, res) => {
+  const parsed = parseUnsubscribeToken(req.params.token);
+
+  if (!parsed) {
+    return res.status(400).type('html').send(unsubscribePage('Invalid link', 'This unsubscribe link is not valid.'));
+  }
+
+  const form = `<form method="POST"><button type="submit">Unsubscribe</button></form>`;
+  return res.type('html').send(
+    unsubscribePage('Unsubscribe', `Stop receiving emails at ${parsed.email}?`, form)
+  );
+});
+
+// POST /u/:token - One-click unsubscribe (RFC 8058) and confirmation form target (public)
+app.post('/u/:token', express.urlencoded({ extended: false }), async (req, res) => {
+  const parsed = parseUnsubscribeToken(req.params.token);
+
+  if (!parsed) {
+    return res.status(400).type('html').send(unsubscribePage('Invalid link', 'This unsubscribe link is not valid.'));
+  }
+
+  try {
+    await suppress(parsed.senderId, parsed.email, 'UNSUBSCRIBED', 'unsubscribe-link');
+    console.log(`🚫 ${parsed.email} unsubscribed from sender ${parsed.senderId}`);
+
+    return res.type('html').send(
+      unsubscribePage('Unsubscribed', `${parsed.email} will no longer receive these emails.`)
+    );
+  } catch (error) {
+    console.error('Error processing unsubscribe:', error);
+    return res.status(500).type('html').send(
+      unsubscribePage('Something went wrong', 'Please try again later.')
+    );
+  }
+});
+
+// GET /suppressions - List suppressed addresses (protected, optional ?reason= and ?email= substring)
+app.get('/suppressions', authenticateToken, async (req, res) => {
+  try {
+    const where = { senderId: req.user.userId };
+    if (req.query.reason) {
+      where.reason = req.query.reason;
+    }
+    if (req.query.email) {
+      where.email = { [Op.substring]: normalizeEmail(req.query.email) };
+    }
+
+    const suppressions = await Suppression.findAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+    });
+
+    return res.json({
+      success: true,
+      count: suppressions.length,
+      data: suppressions
+    });
+  } catch (error) {
+    console.error('Error fetching suppressions:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch suppressions',
+      message: error.message
+    });
+  }
+});
+
+// POST /suppressions - Suppress one address (protected)
+app.post('/suppressions', authenticateToken, async (req, res) => {
+  try {
+    const { email, reason = 'MANUAL', note } = req.body;
+
+    if (!email || !EMAIL_REGEX.test(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid email is required'
+      });
+    }
+
+    if (!SUPPRESSION_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        error: `reason must be one of: ${SUPPRESSION_REASONS.join(', ')}`
+      });
+    }
+
+    const existing = await findSuppression(req.user.userId, email);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'Address is already suppressed',
+        data: existing
+      });
+    }
+
+    const suppression = await suppress(req.user.userId, email, reason, 'api', note || null);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Address suppressed',
+      data: suppression
+    });
+  } catch (error) {
+    console.error('Error creating suppression:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create suppression',
+      message: error.message
+    });
+  }
+});
+
+// POST /suppressions/import - Bulk suppress from an `emails` list or a CSV `file` (protected)
+app.post('/suppressions/import', authenticateToken, handleCsvUpload, async (req, res) => {
+  try {
+    const senderId = req.user.userId;
+    const reason = req.body.reason || 'MANUAL';
+
+    if (!SUPPRESSION_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        error: `reason must be one of: ${SUPPRESSION_REASONS.join(', ')}`
+      });
+    }
+
+    let rows;
+    try {
+      if (req.file) {
+        rows = parseRecipientCsv(req.file.buffer);
+      } else if (Array.isArray(req.body.emails)) {
+        rows = normalizeRecipientList(req.body.emails);
+      }
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        error: 'Could not parse suppression CSV',
+        message: err.message
+      });
+    }
+
+    if (!rows) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide an emails list or upload a CSV file'
+      });
+    }
+
+    const { valid, errors } = validateRecipients(rows);
+
+    const existing = await findSuppressions(senderId, valid.map(({ email }) => email));
+    const toCreate = valid.filter(({ email }) => !existing.has(normalizeEmail(email)));
+
+    await Suppression.bulkCreate(
+      toCreate.map(({ email }) => ({
+        senderId,
+        email: normalizeEmail(email),
+        reason,
+        source: 'import'
+      })),
+      { ignoreDuplicates: true }
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: `${toCreate.length} address(es) suppressed`,
+      data: {
+        imported: toCreate.length,
+        alreadySuppressed: valid.length - toCreate.length,
+        invalid: errors.length,
+        errors
+      }
+    });
+  } catch (error) {
+    console.error('Error importing suppressions:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to import suppressions',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /suppressions/:id - Remove an address from the list (protected)
+app.delete('/suppressions/:id', authenticateToken, async (req, res) => {
+  try {
+    const suppression = await Suppression.findOne({
+      where: { id: req.params.id, senderId: req.user.userId }
+    });
+
+    if (!suppression) {
+      return res.status(404).json({
+        success: false,
+        error: 'Suppression not found'
+      });
+    }
+
+    await suppression.destroy();
+
+    return res.json({
+      success: true,
+      message: 'Suppression removed'
+    });
+  } catch (error) {
+    console.error('Error deleting suppression:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete suppression',
+      message: error.message
+    });
+  }
+});
+
+// ============= ADMIN ROUTES =============
+
+// GET /admin/reconciliation - Compare email rows, queue jobs and the outbox without changing anything (admin)
+app.get('/admin/reconciliation', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const report = await reconcile({ repair: false });
+
+    return res.json({
+      success: true,
+      data: report,
+      lastRun: getLastReconciliation()
+    });
+  } catch (error) {
+    console.error('Error running reconciliation:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to run reconciliation',
+      message: error.message
+    });
+  }
+});
+
+// POST /admin/reconciliation/repair - Requeue orphaned emails, remove orphaned jobs and flush the outbox (admin)
+app.post('/admin/reconciliation/repair', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const report = await reconcile({ repair: true });
+
+    console.log(`🩺 Reconciliation repair run by ${req.user.userId}: ${report.repairs.requeuedEmails} email(s) requeued, ${report.repairs.removedJobs} job(s) removed`);
+
+    return res.json({
+      success: true,
+      message: 'Reconciliation repair completed',
+      data: report
+    });
+  } catch (error) {
+    console.error('Error repairing queue:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to repair queue',
+      message: error.message
+    });
+  }
+});
+
+// GET /admin/queue - Queue counts and the active, waiting, delayed and failed jobs of every user (admin)
+app.get('/admin/queue', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const states = req.query.state ? String(req.query.state).split(',') : ADMIN_JOB_STATES;
+    const invalid = states.filter((state) => !ADMIN_JOB_STATES.includes(state));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid state(s): ${invalid.join(', ')}. Allowed: ${ADMIN_JOB_STATES.join(', ')}`
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const stats = await getGlobalQueueStats({ states, limit });
+
+    return res.json({
+      success: true,
+      stats
+    });
+  } catch (error) {
+    console.error('Error fetching global queue stats:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch queue stats',
+      message: error.message
+    });
+  }
+});
+
+// POST /admin/queue/pause - Stop every worker from picking up new jobs (admin)
+app.post('/admin/queue/pause', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    await emailQueue.pause();
+    console.log(`⏸️  Email queue paused by ${req.user.userId}`);
+
+    return res.json({
+      success: true,
+      message: 'Email queue paused; jobs already being processed will finish'
+    });
+  } catch (error) {
+    console.error('Error pausing queue:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to pause queue',
+      message: error.message
+    });
+  }
+});
+
+// POST /admin/queue/resume - Let workers pick up jobs again (admin)
+app.post('/admin/queue/resume', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    await emailQueue.resume();
+    console.log(`▶️  Email queue resumed by ${req.user.userId}`);
+
+    return res.json({
+      success: true,
+      message: 'Email queue resumed'
+    });
+  } catch (error) {
+    console.error('Error resuming queue:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to resume queue',
+      message: error.message
+    });
+  }
+});
+
+// Initialize database and start server
+const startServer = async () => {
+  try {
+    await syncDatabase();
+
+    // Push queue changes committed while the server was down, then keep rows and jobs in sync
+    startOutboxDispatcher();
+    startReconciler();
+    startIdempotencyKeyCleanup();
     
     app.listen(PORT, () => {
       console.log(`\n✅ Server running on http://localhost:${PORT}`);
       console.log(`✅ Health check: http://localhost:${PORT}/health`);
       console.log(`\n📧 Email API endpoints:`);
-      console.log(`  POST /schedule - Schedule a new email`);
-      console.log(`  GET /emails - View all email logs`);
+      console.log(`  POST /schedule - Schedule a new email (retry safely with an Idempotency-Key header)`);
+      console.log(`  GET /emails - Search and page through email logs`);
       console.log(`  GET /emails/:id - View specific email log`);
-      console.log(`  GET /queue/stats - View queue statistics`);
+      console.log(`  GET /emails/:id/attempts - View delivery attempts of an email`);
+      console.log(`  PATCH /emails/:id - Edit or reschedule a pending email`);
+      console.log(`  GET /queue/stats - View your queue statistics and rate-limit usage`);
+      console.log(`\n🪦 Dead-letter API endpoints:`);
+      console.log(`  GET /dead-letter - View failed emails and their errors`);
+      console.log(`  POST /dead-letter/:id/retry - Retry a failed email, optionally edited`);
+      console.log(`  POST /dead-letter/retry - Retry many failed emails`);
+      console.log(`  POST /dead-letter/discard - Discard failed emails`);
+      console.log(`\n📨 Campaign API endpoints:`);
+      console.log(`  POST /campaigns - Schedule a campaign (JSON list or CSV upload)`);
+      console.log(`  GET /campaigns - View all campaigns`);
+      console.log(`  GET /campaigns/:id - View campaign progress`);
+      console.log(`  DELETE /campaigns/:id - Cancel remaining campaign emails`);
+      console.log(`\n📝 Template API endpoints:`);
+      console.log(`  POST /templates - Create a template`);
+      console.log(`  GET /templates - View all templates`);
+      console.log(`  GET /templates/:id - View a template and its versions`);
+      console.log(`  PUT /templates/:id - Update a template (new version)`);
+      console.log(`  DELETE /templates/:id - Delete a template`);
+      console.log(`  POST /templates/:id/preview - Render a template with variables`);
+      console.log(`\n📎 Attachment API endpoints:`);
+      console.log(`  POST /attachments - Upload an attachment`);
+      console.log(`  GET /attachments - View all attachments`);
+      console.log(`  GET /attachments/:id - View attachment metadata`);
+      console.log(`  DELETE /attachments/:id - Delete an attachment`);
+      console.log(`\n✉️  Sending account API endpoints:`);
+      console.log(`  POST /accounts - Register a sending account`);
+      console.log(`  GET /accounts - View all sending accounts`);
+      console.log(`  GET /accounts/:id - View a sending account`);
+      console.log(`  PUT /accounts/:id - Update a sending account`);
+      console.log(`  DELETE /accounts/:id - Delete a sending account`);
+      console.log(`  POST /accounts/:id/verify - Verify the SMTP connection`);
+      console.log(`\n🪝 Webhook API endpoints:`);
+      console.log(`  POST /webhooks - Register a webhook`);
+      console.log(`  GET /webhooks - View all webhooks`);
+      console.log(`  GET /webhooks/:id - View a webhook`);
+      console.log(`  PUT /webhooks/:id - Update a webhook`);
+      console.log(`  DELETE /webhooks/:id - Delete a webhook`);
+      console.log(`  GET /webhooks/:id/deliveries - View delivery attempts`);
+      console.log(`  POST /webhooks/:id/test - Send a test event`);
+      console.log(`\n📈 Tracking API endpoints:`);
+      console.log(`  GET /t/open/:id - Open tracking pixel (public)`);
+      console.log(`  GET /t/click/:id - Click tracking redirect (public)`);
+      console.log(`  GET /stats/engagement - Open and click rates`);
+      console.log(`\n📮 Captured email API endpoints (outbox transport, or memory with the worker in this process):`);
+      console.log(`  GET /outbox - View captured emails`);
+      console.log(`  GET /outbox/:id - Inspect a captured email (?format=raw for the .eml)`);
+      console.log(`  DELETE /outbox - Delete captured emails`);
+      console.log(`\n🚫 Suppression API endpoints:`);
+      console.log(`  GET /suppressions - View suppressed addresses`);
+      console.log(`  POST /suppressions - Suppress an address`);
+      console.log(`  POST /suppressions/import - Bulk import suppressions`);
+      console.log(`  DELETE /suppressions/:id - Remove a suppression`);
+      console.log(`  GET/POST /u/:token - Unsubscribe link (public)`);
+      console.log(`\n🔁 Recurring schedule API endpoints:`);
+      console.log(`  GET /recurring-schedules - View all recurring schedules`);
+      console.log(`  GET /recurring-schedules/:id - View a schedule and its occurrences`);
+      console.log(`  POST /recurring-schedules/:id/pause - Pause a schedule`);
+      console.log(`  POST /recurring-schedules/:id/resume - Resume a schedule`);
+      console.log(`  DELETE /recurring-schedules/:id - Delete a schedule`);
+      console.log(`\n👥 Workspace API endpoints (select one with the X-Workspace-Id header):`);
+      console.log(`  POST /workspaces - Create a workspace`);
+      console.log(`  GET /workspaces - View workspaces and pending invitations`);
+      console.log(`  GET /workspaces/:id - View a workspace and its members`);
+      console.log(`  PATCH /workspaces/:id - Update name and shared limits`);
+      console.log(`  POST /workspaces/:id/members - Invite a member`);
+      console.log(`  POST /workspaces/:id/accept - Accept an invitation`);
+      console.log(`  PATCH /workspaces/:id/members/:memberId - Change a member's role`);
+      console.log(`  DELETE /workspaces/:id/members/:memberId - Remove a member or leave`);
       console.log(`\n🔐 Auth API endpoints:`);
       console.log(`  POST /api/auth/google - Google OAuth login`);
+      console.log(`  POST /api/auth/refresh - Rotate refresh token`);
+      console.log(`  POST /api/auth/logout - End session`);
+      console.log(`  POST /api/auth/logout-all - Revoke all sessions`);
       console.log(`  POST /api/auth/verify - Verify JWT token`);
       console.log(`  GET /api/user/profile - Get user profile`);
+      console.log(`  PUT /api/user/profile - Update timezone and default sending settings`);
+      console.log(`  GET /api/user/usage - Quota consumption`);
+      console.log(`  POST /api/keys - Create API key`);
+      console.log(`  GET /api/keys - List API keys`);
+      console.log(`  GET /api/keys/:id/activity - View requests made with an API key`);
+      console.log(`  DELETE /api/keys/:id - Revoke API key`);
+      console.log(`\n🩺 Admin API endpoints:`);
+      console.log(`  GET /admin/reconciliation - Report orphaned emails, jobs and stuck outbox entries`);
+      console.log(`  POST /admin/reconciliation/repair - Repair them`);
+      console.log(`  GET /admin/queue - View every queued job (?state=active,delayed,failed)`);
+      console.log(`  POST /admin/queue/pause - Pause the email queue`);
+      console.log(`  POST /admin/queue/resume - Resume the email queue`);
     });
   } catch (error) {
     console.error('Failed to start server:', error);
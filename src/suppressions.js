@@ -0,0 +1,81 @@
+import { Suppression } from './models.js';
+import { signValue, verifySignedValue } from './crypto.js';
+import { PUBLIC_URL } from './tracking.js';
+import { escapeHtml } from './content.js';
+
+export const SUPPRESSION_REASONS = ['UNSUBSCRIBED', 'BOUNCED', 'COMPLAINED', 'MANUAL'];
+
+// SMTP codes that mean the mailbox doesn't exist or permanently refuses mail
+const HARD_BOUNCE_CODES = [550, 551, 553];
+
+export const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+export const findSuppression = (senderId, email) => {
+  return Suppression.findOne({ where: { senderId, email: normalizeEmail(email) } });
+};
+
+// Suppressions for any of the given addresses, keyed by normalized address
+export const findSuppressions = async (senderId, emails) => {
+  if (emails.length === 0) {
+    return new Map();
+  }
+
+  const suppressions = await Suppression.findAll({
+    where: { senderId, email: [...new Set(emails.map(normalizeEmail))] }
+  });
+  return new Map(suppressions.map((suppression) => [suppression.email, suppression]));
+};
+
+// Add an address to the list, keeping the existing entry if there is one
+export const suppress = async (senderId, email, reason, source, note = null) => {
+  const [suppression] = await Suppression.findOrCreate({
+    where: { senderId, email: normalizeEmail(email) },
+    defaults: { reason, source, note }
+  });
+  return suppression;
+};
+
+// Unsubscribe tokens carry the sender and address, signed so they can't be altered
+export const buildUnsubscribeToken = (senderId, email) => {
+  const payload = Buffer.from(JSON.stringify({ s: senderId, e: normalizeEmail(email) })).toString('base64url');
+  return `${payload}.${signValue(`unsubscribe:${payload}`)}`;
+};
+
+export const parseUnsubscribeToken = (token) => {
+  const [payload, signature] = String(token).split('.');
+  if (!payload || !verifySignedValue(`unsubscribe:${payload}`, signature)) {
+    return null;
+  }
+
+  try {
+    const { s, e } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return s && e ? { senderId: s, email: e } : null;
+  } catch {
+    return null;
+  }
+};
+
+export const buildUnsubscribeUrl = (senderId, email) => {
+  return `${PUBLIC_URL}/u/${buildUnsubscribeToken(senderId, email)}`;
+};
+
+// Whether a send error is a permanent rejection of the recipient address
+export const isHardBounce = (error) => {
+  return HARD_BOUNCE_CODES.includes(error.responseCode)
+    && (error.code === 'EENVELOPE' || Array.isArray(error.rejected));
+};
+
+// Append an unsubscribe footer to both parts and return the List-Unsubscribe headers
+export const addUnsubscribeLink = ({ text, html, ...rest }, unsubscribeUrl) => {
+  const footer = `<p style="font-size:12px;color:#888888;">Don't want these emails? <a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a></p>`;
+
+  return {
+    ...rest,
+    text: `${text}\n\n--\nUnsubscribe: ${unsubscribeUrl}`,
+    html: /<\/body>/i.test(html) ? html.replace(/<\/body>/i, `${footer}</body>`) : `${html}${footer}`,
+    headers: {
+      'List-Unsubscribe': `<${unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  };
+};
@@ -0,0 +1,66 @@
+import { escapeHtml, textToHtml } from './content.js';
+
+// Matches {{firstName}}, {{ firstName }} and dotted paths like {{company.name}}
+const PLACEHOLDER_REGEX = /\{\{\s*([a-zA-Z_][\w]*(?:\.[a-zA-Z_][\w]*)*)\s*\}\}/g;
+
+// Look up a (possibly dotted) placeholder name in the variables object
+const lookup = (variables, name) => {
+  return name.split('.').reduce(
+    (value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined),
+    variables
+  );
+};
+
+// Collect the unique placeholder names used across the given strings
+export const extractPlaceholders = (...parts) => {
+  const names = new Set();
+  for (const part of parts) {
+    if (!part) continue;
+    for (const match of part.matchAll(PLACEHOLDER_REGEX)) {
+      names.add(match[1]);
+    }
+  }
+  return [...names].sort();
+};
+
+// Placeholders that have no usable value in `variables`
+export const findMissingVariables = (placeholders, variables = {}) => {
+  return placeholders.filter((name) => {
+    const value = lookup(variables, name);
+    return value === undefined || value === null;
+  });
+};
+
+// Check that variables, when given, is a plain object
+export const validateVariables = (variables) => {
+  if (variables === undefined || variables === null) {
+    return null;
+  }
+  if (typeof variables !== 'object' || Array.isArray(variables)) {
+    return 'variables must be an object';
+  }
+  return null;
+};
+
+const renderString = (template, variables, escape) => {
+  if (!template) return template;
+  return template.replace(PLACEHOLDER_REGEX, (placeholder, name) => {
+    const value = lookup(variables, name);
+    if (value === undefined || value === null) {
+      return placeholder;
+    }
+    return escape ? escapeHtml(value) : String(value);
+  });
+};
+
+// Render a template version with per-recipient variables.
+// Values are HTML-escaped in the HTML part; without an HTML part one is built from the text.
+export const renderTemplate = (version, variables = {}) => {
+  const subject = renderString(version.subject, variables, false);
+  const text = renderString(version.text, variables, false);
+  const html = version.html
+    ? renderString(version.html, variables, true)
+    : textToHtml(text);
+
+  return { subject, text, html };
+};
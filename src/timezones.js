@@ -0,0 +1,121 @@
+import { DateTime, IANAZone } from 'luxon';
+
+// Zone for senders who haven't set one in their profile
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const WEEKDAY_PRESETS = {
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [6, 7],
+  everyday: [1, 2, 3, 4, 5, 6, 7]
+};
+const TIME_OF_DAY_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+export const isValidTimezone = (timezone) => typeof timezone === 'string' && IANAZone.isValidZone(timezone);
+
+// Parse a date given by a client. ISO, SQL and RFC 2822 strings with an offset ("Z", "+02:00")
+// are absolute; without one they are wall-clock times in `timezone`. With `looseFormats`, any
+// other string is read by `new Date` as it was before timezones were supported (in the server's
+// zone unless it names one), so existing clients keep working; requests naming a timezone leave
+// it off, since such strings can't be placed in a zone. Returns a Date or null.
+export const parseDateInZone = (value, timezone, { looseFormats = false } = {}) => {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+
+  if (typeof value === 'number') {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const text = value.trim();
+  for (const parse of [DateTime.fromISO, DateTime.fromSQL, DateTime.fromRFC2822]) {
+    const parsed = parse(text, { zone: timezone, setZone: true });
+    if (parsed.isValid) {
+      return parsed.toJSDate();
+    }
+  }
+
+  if (looseFormats) {
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  return null;
+};
+
+// ISO 8601 with the zone's offset, e.g. 2026-03-02T09:00:00.000-05:00
+export const formatInZone = (date, timezone) => {
+  return date ? DateTime.fromJSDate(new Date(date), { zone: timezone }).toISO() : null;
+};
+
+// Validate a send window: { days: ['mon', ...] | 'weekdays', start: '09:00', end: '17:00' }.
+// Days default to every day. Returns { sendWindow } (days as ISO weekday numbers) or { error }.
+export const parseSendWindow = (input) => {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    return { error: 'sendWindow must be an object' };
+  }
+
+  const { days = 'everyday', start, end } = input;
+
+  let weekdays;
+  if (typeof days === 'string' && WEEKDAY_PRESETS[days.toLowerCase()]) {
+    weekdays = WEEKDAY_PRESETS[days.toLowerCase()];
+  } else if (Array.isArray(days) && days.length > 0) {
+    weekdays = [];
+    for (const day of days) {
+      const number = typeof day === 'number' ? day : WEEKDAYS.indexOf(String(day).slice(0, 3).toLowerCase()) + 1;
+      if (!Number.isInteger(number) || number < 1 || number > 7) {
+        return { error: `Invalid sendWindow day: ${day}` };
+      }
+      weekdays.push(number);
+    }
+  } else {
+    return { error: 'sendWindow.days must be weekdays, weekends, everyday or a list of days' };
+  }
+
+  if (!TIME_OF_DAY_REGEX.test(start || '') || !TIME_OF_DAY_REGEX.test(end || '')) {
+    return { error: 'sendWindow.start and sendWindow.end must be HH:mm times' };
+  }
+
+  if (start >= end) {
+    return { error: 'sendWindow.start must be before sendWindow.end' };
+  }
+
+  return { sendWindow: { days: [...new Set(weekdays)].sort((a, b) => a - b), start, end } };
+};
+
+// Earliest time at or after `from` that falls inside the window, in the window's zone.
+// Returns `from` itself when it is already inside.
+export const nextSendWindowStart = (sendWindow, timezone, from = new Date()) => {
+  if (!sendWindow) {
+    return from;
+  }
+
+  const local = DateTime.fromJSDate(from, { zone: timezone });
+  const [startHour, startMinute] = sendWindow.start.split(':').map(Number);
+  const [endHour, endMinute] = sendWindow.end.split(':').map(Number);
+
+  for (let offset = 0; offset <= 7; offset++) {
+    const day = local.plus({ days: offset }).startOf('day');
+    if (!sendWindow.days.includes(day.weekday)) {
+      continue;
+    }
+
+    const opens = day.set({ hour: startHour, minute: startMinute });
+    const closes = day.set({ hour: endHour, minute: endMinute });
+
+    if (local >= opens && local < closes) {
+      return from;
+    }
+    if (opens > local) {
+      return opens.toJSDate();
+    }
+  }
+
+  return from;
+};
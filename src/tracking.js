@@ -0,0 +1,47 @@
+import { signValue, verifySignedValue } from './crypto.js';
+
+// Base URL the tracking routes in server.js are reachable at from recipients' mail clients
+export const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+
+// 1x1 transparent GIF
+export const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+export const buildOpenUrl = (emailLogId) => {
+  return `${PUBLIC_URL}/t/open/${emailLogId}?s=${signValue(`open:${emailLogId}`)}`;
+};
+
+export const buildClickUrl = (emailLogId, url) => {
+  const signature = signValue(`click:${emailLogId}:${url}`);
+  return `${PUBLIC_URL}/t/click/${emailLogId}?u=${encodeURIComponent(url)}&s=${signature}`;
+};
+
+// Signatures keep tracking links from being forged into open redirects or fake events
+export const verifyOpenSignature = (emailLogId, signature) => {
+  return verifySignedValue(`open:${emailLogId}`, signature);
+};
+
+export const verifyClickSignature = (emailLogId, url, signature) => {
+  return verifySignedValue(`click:${emailLogId}:${url}`, signature);
+};
+
+// Rewrite http(s) links to go through the click route and add the open pixel.
+// `skipUrls` are left untouched (e.g. unsubscribe links).
+export const instrumentHtml = (html, emailLogId, { skipUrls = [] } = {}) => {
+  const withLinks = html.replace(
+    /(<a\b[^>]*?\bhref\s*=\s*)(["'])(https?:\/\/[^"']+)\2/gi,
+    (match, prefix, quote, href) => {
+      // Links are HTML-escaped inside attributes
+      const url = href.replace(/&amp;/g, '&');
+      if (skipUrls.includes(url)) {
+        return match;
+      }
+      return `${prefix}${quote}${buildClickUrl(emailLogId, url).replace(/&/g, '&amp;')}${quote}`;
+    }
+  );
+
+  const pixel = `<img src="${buildOpenUrl(emailLogId).replace(/&/g, '&amp;')}" width="1" height="1" alt="" style="display:none;border:0" />`;
+
+  return /<\/body>/i.test(withLinks)
+    ? withLinks.replace(/<\/body>/i, `${pixel}</body>`)
+    : `${withLinks}${pixel}`;
+};
@@ -0,0 +1,322 @@
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+import nodemailer from 'nodemailer';
+import { UnrecoverableError } from 'bullmq';
+import { v4 as uuidv4 } from 'uuid';
+
+// Where the worker's emails go, chosen with EMAIL_TRANSPORT:
+//   smtp   - the SMTP server in EMAIL_HOST/EMAIL_PORT/EMAIL_USER/EMAIL_PASS
+//   http   - an HTTP email API, through the adapter named by EMAIL_HTTP_PROVIDER
+//   outbox - .eml files (plus .json metadata) in OUTBOX_DIR, nothing leaves the machine
+//   memory - kept in the sending process, for tests that run the worker in the API process
+// Without EMAIL_TRANSPORT, smtp is used when credentials are set and outbox otherwise,
+// so local development runs offline.
+//
+// A transport is { name, captures, send(mail, meta) => info, close() }. `mail` is a nodemailer
+// message; `info` has at least messageId and response, like nodemailer's.
+export const TRANSPORTS = ['smtp', 'http', 'outbox', 'memory'];
+
+const PLACEHOLDER_USERS = ['your-ethereal-user', 'your-email@gmail.com'];
+
+const hasSmtpCredentials = () => {
+  return Boolean(process.env.EMAIL_USER && process.env.EMAIL_PASS && !PLACEHOLDER_USERS.includes(process.env.EMAIL_USER));
+};
+
+export const EMAIL_TRANSPORT = (process.env.EMAIL_TRANSPORT || (hasSmtpCredentials() ? 'smtp' : 'outbox')).toLowerCase();
+
+export const OUTBOX_DIR = path.resolve(process.env.OUTBOX_DIR || 'outbox');
+const MEMORY_CAPTURE_LIMIT = parseInt(process.env.MEMORY_CAPTURE_LIMIT) || 500;
+
+// Renders a nodemailer message to raw MIME without sending it
+const compiler = nodemailer.createTransport({ streamTransport: true, buffer: true });
+const compileMessage = (mail) => compiler.sendMail(mail);
+
+// ----- smtp -----
+
+const createSmtpTransport = () => {
+  if (!hasSmtpCredentials()) {
+    throw new Error('EMAIL_TRANSPORT=smtp needs EMAIL_USER and EMAIL_PASS');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.EMAIL_HOST || 'smtp.ethereal.email',
+    port: parseInt(process.env.EMAIL_PORT) || 587,
+    secure: false,
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    }
+  });
+
+  return {
+    name: 'smtp',
+    captures: false,
+    send: async (mail) => {
+      const info = await transporter.sendMail(mail);
+      const previewUrl = nodemailer.getTestMessageUrl(info);
+      if (previewUrl) {
+        console.log('🔗 Preview URL: %s', previewUrl);
+      }
+      return info;
+    },
+    close: () => transporter.close()
+  };
+};
+
+// ----- http -----
+
+// HTTP API adapters: { buildRequest({ raw, envelope, mail }) => axios request config,
+// parseResponse(response) => provider message ID }. `raw` is the message as MIME.
+const httpProviders = new Map();
+
+export const registerHttpProvider = (name, adapter) => {
+  httpProviders.set(name, adapter);
+};
+
+// Posts the raw MIME message as JSON to EMAIL_HTTP_API_URL with EMAIL_HTTP_API_KEY as bearer token
+registerHttpProvider('generic', {
+  buildRequest: ({ raw, envelope, mail }) => ({
+    method: 'post',
+    url: process.env.EMAIL_HTTP_API_URL,
+    headers: process.env.EMAIL_HTTP_API_KEY ? { Authorization: `Bearer ${process.env.EMAIL_HTTP_API_KEY}` } : {},
+    data: {
+      from: envelope.from,
+      to: envelope.to,
+      subject: mail.subject,
+      raw: raw.toString('base64')
+    }
+  }),
+  parseResponse: (response) => response.data && (response.data.messageId || response.data.id)
+});
+
+// Client errors other than timeouts and rate limiting won't succeed on retry
+const toHttpSendError = (error) => {
+  const status = error.response && error.response.status;
+  const message = `HTTP email API ${status ? `responded ${status}` : 'request failed'}: ${error.message}`;
+
+  if (status >= 400 && status < 500 && ![408, 429].includes(status)) {
+    return new UnrecoverableError(message);
+  }
+  return new Error(message);
+};
+
+const createHttpTransport = () => {
+  const providerName = process.env.EMAIL_HTTP_PROVIDER || 'generic';
+
+  if (providerName === 'generic' && !process.env.EMAIL_HTTP_API_URL) {
+    throw new Error('EMAIL_TRANSPORT=http with the generic provider needs EMAIL_HTTP_API_URL');
+  }
+
+  return {
+    name: 'http',
+    captures: false,
+    send: async (mail) => {
+      const adapter = httpProviders.get(providerName);
+      if (!adapter) {
+        throw new UnrecoverableError(`Unknown EMAIL_HTTP_PROVIDER: ${providerName}`);
+      }
+
+      const { message: raw, envelope, messageId } = await compileMessage(mail);
+
+      let response;
+      try {
+        response = await axios.request({ timeout: 30000, ...adapter.buildRequest({ raw, envelope, mail }) });
+      } catch (error) {
+        throw toHttpSendError(error);
+      }
+
+      return {
+        messageId: adapter.parseResponse(response) || messageId,
+        envelope,
+        accepted: envelope.to,
+        rejected: [],
+        response: `${response.status} ${response.statusText || 'OK'}`
+      };
+    },
+    close: () => {}
+  };
+};
+
+// ----- capture (outbox, memory) -----
+
+const CAPTURE_ID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Compile a message into its capture record and raw MIME
+const captureMessage = async (mail, { senderId = null, emailLogId = null } = {}) => {
+  const { message: raw, envelope, messageId } = await compileMessage(mail);
+  const record = {
+    id: uuidv4(),
+    messageId,
+    senderId,
+    emailLogId,
+    envelope,
+    subject: mail.subject,
+    size: raw.length,
+    capturedAt: new Date().toISOString()
+  };
+  return { record, raw };
+};
+
+const capturedInfo = (record, where) => ({
+  messageId: record.messageId,
+  envelope: record.envelope,
+  accepted: record.envelope.to,
+  rejected: [],
+  response: `250 Message captured in ${where} as ${record.id}`
+});
+
+const createOutboxTransport = () => {
+  fs.mkdirSync(OUTBOX_DIR, { recursive: true });
+
+  return {
+    name: 'outbox',
+    captures: true,
+    send: async (mail, meta) => {
+      const { record, raw } = await captureMessage(mail, meta);
+      await fs.promises.writeFile(path.join(OUTBOX_DIR, `${record.id}.eml`), raw);
+      await fs.promises.writeFile(path.join(OUTBOX_DIR, `${record.id}.json`), JSON.stringify(record, null, 2));
+      console.log(`📮 Message captured in ${path.join(OUTBOX_DIR, `${record.id}.eml`)}`);
+      return capturedInfo(record, 'outbox');
+    },
+    close: () => {},
+
+    list: async () => {
+      const files = (await fs.promises.readdir(OUTBOX_DIR).catch(() => []))
+        .filter((file) => file.endsWith('.json'));
+      const records = await Promise.all(files.map(async (file) => {
+        try {
+          return JSON.parse(await fs.promises.readFile(path.join(OUTBOX_DIR, file), 'utf8'));
+        } catch {
+          return null;
+        }
+      }));
+      return records.filter(Boolean);
+    },
+    get: async (id) => {
+      try {
+        const [record, raw] = await Promise.all([
+          fs.promises.readFile(path.join(OUTBOX_DIR, `${id}.json`), 'utf8'),
+          fs.promises.readFile(path.join(OUTBOX_DIR, `${id}.eml`), 'utf8')
+        ]);
+        return { ...JSON.parse(record), raw };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    remove: async (ids) => {
+      await Promise.all(ids.flatMap((id) => ['eml', 'json'].map((extension) =>
+        fs.promises.rm(path.join(OUTBOX_DIR, `${id}.${extension}`), { force: true })
+      )));
+    }
+  };
+};
+
+const createMemoryTransport = () => {
+  // Oldest first; the oldest are dropped past MEMORY_CAPTURE_LIMIT
+  const messages = [];
+
+  return {
+    name: 'memory',
+    captures: true,
+    send: async (mail, meta) => {
+      const { record, raw } = await captureMessage(mail, meta);
+      messages.push({ ...record, raw: raw.toString('utf8') });
+      if (messages.length > MEMORY_CAPTURE_LIMIT) {
+        messages.shift();
+      }
+      console.log(`📮 Message captured in memory as ${record.id}`);
+      return capturedInfo(record, 'memory');
+    },
+    close: () => {},
+
+    list: async () => messages.map(({ raw, ...record }) => record),
+    get: async (id) => messages.find((message) => message.id === id) || null,
+    remove: async (ids) => {
+      for (let index = messages.length - 1; index >= 0; index--) {
+        if (ids.includes(messages[index].id)) {
+          messages.splice(index, 1);
+        }
+      }
+    }
+  };
+};
+
+const TRANSPORT_FACTORIES = {
+  smtp: createSmtpTransport,
+  http: createHttpTransport,
+  outbox: createOutboxTransport,
+  memory: createMemoryTransport
+};
+
+let transport = null;
+
+// The configured transport, created on first use
+export const getTransport = () => {
+  if (!transport) {
+    const factory = TRANSPORT_FACTORIES[EMAIL_TRANSPORT];
+    if (!factory) {
+      throw new Error(`Unknown EMAIL_TRANSPORT "${EMAIL_TRANSPORT}". Use one of: ${TRANSPORTS.join(', ')}`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+export const closeTransport = () => {
+  if (transport) {
+    transport.close();
+    transport = null;
+  }
+};
+
+// ----- inspecting captured messages -----
+// Outbox captures are visible to every process sharing OUTBOX_DIR. Memory captures live in the
+// process that sent them, so they can only be inspected where the worker runs (e.g. a test
+// importing the worker into the API process); the usual separate worker needs the outbox.
+
+export const capturesMessages = () => ['outbox', 'memory'].includes(EMAIL_TRANSPORT);
+
+// Whether this process can read the captured messages. Returns { status, error } when it can't.
+export const checkCaptureAccess = () => {
+  if (!capturesMessages()) {
+    return { status: 404, error: `Captured emails are only kept with the outbox or memory transport (current: ${EMAIL_TRANSPORT})` };
+  }
+
+  // Without a transport here, nothing in this process has sent anything: the worker runs elsewhere
+  if (EMAIL_TRANSPORT === 'memory' && !transport) {
+    return {
+      status: 409,
+      error: 'The memory transport keeps captured emails in the worker process, which is not this one. Use EMAIL_TRANSPORT=outbox to inspect them through the API'
+    };
+  }
+
+  return {};
+};
+
+// Captured messages of a sender, newest first, without their raw MIME
+export const listCapturedMessages = async (senderId, { limit = 50 } = {}) => {
+  const records = await getTransport().list();
+  return records
+    .filter((record) => record.senderId === senderId)
+    .sort((a, b) => b.capturedAt.localeCompare(a.capturedAt))
+    .slice(0, limit);
+};
+
+// One captured message of a sender including its raw MIME, or null
+export const getCapturedMessage = async (senderId, id) => {
+  if (!CAPTURE_ID_REGEX.test(id)) {
+    return null;
+  }
+  const message = await getTransport().get(id);
+  return message && message.senderId === senderId ? message : null;
+};
+
+// Delete all of a sender's captured messages. Returns how many were deleted.
+export const clearCapturedMessages = async (senderId) => {
+  const records = await getTransport().list();
+  const ids = records.filter((record) => record.senderId === senderId).map((record) => record.id);
+  await getTransport().remove(ids);
+  return ids.length;
+};
@@ -0,0 +1,178 @@
+import { Op } from 'sequelize';
+import { User, EmailLog, Attachment } from './models.js';
+
+// Plan defaults; a user's own max* columns override them
+export const DEFAULT_QUOTAS = {
+  maxHourlySends: parseInt(process.env.QUOTA_MAX_HOURLY_SENDS) || 100,
+  maxDailySends: parseInt(process.env.QUOTA_MAX_DAILY_SENDS) || 500,
+  maxPendingEmails: parseInt(process.env.QUOTA_MAX_PENDING_EMAILS) || 1000,
+  maxAttachmentStorage: parseInt(process.env.QUOTA_MAX_ATTACHMENT_STORAGE) || 100 * 1024 * 1024
+};
+
+// hourlyLimit for emails whose sender set neither one nor a profile default
+export const DEFAULT_HOURLY_LIMIT = 10;
+
+// Statuses that still hold a slot in the pending-emails quota
+export const PENDING_STATUSES = ['PENDING', 'THROTTLED'];
+
+// Comma-separated emails that are made admins when they sign in with a verified address
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map((email) => email.trim().toLowerCase())
+  .filter(Boolean);
+
+const isAdminEmail = (email) => Boolean(email) && ADMIN_EMAILS.includes(email.toLowerCase());
+
+// Create the user on first login, refresh the Google profile on later ones. Google can issue
+// tokens for unverified emails, so only a verified one is promoted to admin.
+export const upsertUserFromLogin = async ({ id, email, name, avatar, emailVerified }) => {
+  const verified = emailVerified === true;
+  const promote = verified && isAdminEmail(email);
+  const profile = { email, name, avatar, emailVerified: verified, lastLoginAt: new Date(), ...(promote && { role: 'ADMIN' }) };
+  const [user, created] = await User.findOrCreate({
+    where: { id },
+    defaults: profile
+  });
+
+  if (!created) {
+    await user.update(profile);
+  }
+
+  return user;
+};
+
+// The user behind a request. Tokens issued before users were persisted have no row yet,
+// so one is created from the token's claims.
+export const findUserForToken = async ({ userId, email, name, avatar }) => {
+  const [user] = await User.findOrCreate({
+    where: { id: userId },
+    defaults: { email, name, avatar }
+  });
+  return user;
+};
+
+export const getQuotas = (user) => {
+  return Object.fromEntries(Object.entries(DEFAULT_QUOTAS).map(([quota, fallback]) => [
+    quota,
+    user && user[quota] !== null && user[quota] !== undefined ? Number(user[quota]) : fallback
+  ]));
+};
+
+// hourlyLimit for a new email: the requested one (within quota) or the user's default.
+// Returns { hourlyLimit } or { error }.
+export const resolveHourlyLimit = (requested, user) => {
+  const { maxHourlySends } = getQuotas(user);
+
+  if (requested === undefined || requested === null || requested === '') {
+    return { hourlyLimit: Math.min(user.defaultHourlyLimit || DEFAULT_HOURLY_LIMIT, maxHourlySends) };
+  }
+
+  const hourlyLimit = parseInt(requested);
+  if (!Number.isInteger(hourlyLimit) || hourlyLimit < 1) {
+    return { error: 'hourlyLimit must be a positive integer' };
+  }
+
+  if (hourlyLimit > maxHourlySends) {
+    return { error: `hourlyLimit exceeds your quota of ${maxHourlySends} emails per hour` };
+  }
+
+  return { hourlyLimit };
+};
+
+// The hour and day caps the worker applies to an email (see resolveSendLimits in worker.js): its
+// hourlyLimit within the sender's plan quotas, further capped by the workspace's limits for
+// workspace emails. Without an hourlyLimit the sender's default applies, as for new emails.
+export const resolveSendCaps = (user, workspace = null, hourlyLimit = null) => {
+  const quotas = getQuotas(user);
+  const requested = hourlyLimit || (user && user.defaultHourlyLimit) || DEFAULT_HOURLY_LIMIT;
+
+  return {
+    hourlyLimit: Math.min(requested, quotas.maxHourlySends, (workspace && workspace.hourlyLimit) || Infinity),
+    dailyLimit: Math.min(quotas.maxDailySends, (workspace && workspace.dailyLimit) || Infinity)
+  };
+};
+
+export const countPendingEmails = (senderId, transaction) => {
+  return EmailLog.count({ where: { senderId, status: PENDING_STATUSES }, transaction });
+};
+
+// Error message if `additional` more pending emails would exceed the quota, else null
+export const checkPendingQuota = async (user, additional = 1, transaction) => {
+  const { maxPendingEmails } = getQuotas(user);
+  const pending = await countPendingEmails(user.id, transaction);
+
+  if (pending + additional > maxPendingEmails) {
+    return `Pending email quota exceeded: ${pending} pending, ${additional} requested, limit ${maxPendingEmails}`;
+  }
+  return null;
+};
+
+// Check the pending quota for `count` new emails inside the transaction that creates them. The
+// user's row stays locked until it commits, so concurrent requests can't each pass and together
+// exceed it. Returns an error message or null. The hourly and daily quotas apply when the emails
+// are sent, in the worker's rate limits, since a scheduled email can land in any day's window.
+export const checkSchedulingQuotas = async (userId, count, transaction) => {
+  const user = await User.findByPk(userId, { transaction, lock: transaction.LOCK.UPDATE });
+  return checkPendingQuota(user, count, transaction);
+};
+
+export const getAttachmentStorageUsed = async (senderId) => {
+  const used = await Attachment.sum('size', { where: { senderId } });
+  return Number(used) || 0;
+};
+
+// Error message if storing `bytes` more would exceed the quota, else null
+export const checkStorageQuota = async (user, bytes) => {
+  const { maxAttachmentStorage } = getQuotas(user);
+  const used = await getAttachmentStorageUsed(user.id);
+
+  if (used + bytes > maxAttachmentStorage) {
+    return `Attachment storage quota exceeded: ${used} of ${maxAttachmentStorage} bytes used`;
+  }
+  return null;
+};
+
+// Consumption against every quota
+export const getUsage = async (user) => {
+  const now = Date.now();
+  const sentSince = (ms) => EmailLog.count({
+    where: { senderId: user.id, status: 'SENT', sentAt: { [Op.gte]: new Date(now - ms) } }
+  });
+
+  const [sentLastHour, sentLastDay, pendingEmails, attachmentStorage, attachmentCount] = await Promise.all([
+    sentSince(60 * 60 * 1000),
+    sentSince(24 * 60 * 60 * 1000),
+    countPendingEmails(user.id),
+    getAttachmentStorageUsed(user.id),
+    Attachment.count({ where: { senderId: user.id } })
+  ]);
+
+  const quotas = getQuotas(user);
+  const entry = (used, limit) => ({ used, limit, remaining: Math.max(limit - used, 0) });
+
+  return {
+    hourlySends: entry(sentLastHour, quotas.maxHourlySends),
+    dailySends: entry(sentLastDay, quotas.maxDailySends),
+    pendingEmails: entry(pendingEmails, quotas.maxPendingEmails),
+    attachmentStorage: { ...entry(attachmentStorage, quotas.maxAttachmentStorage), files: attachmentCount }
+  };
+};
+
+// Serialized profile and preferences
+export const serializeUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  emailVerified: user.emailVerified,
+  name: user.name,
+  avatar: user.avatar,
+  timezone: user.timezone,
+  defaults: {
+    delayBetweenEmails: user.defaultDelayBetweenEmails,
+    hourlyLimit: user.defaultHourlyLimit,
+    trackingEnabled: user.defaultTrackingEnabled
+  },
+  quotas: getQuotas(user),
+  role: user.role,
+  createdAt: user.createdAt,
+  lastLoginAt: user.lastLoginAt
+});
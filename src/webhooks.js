@@ -0,0 +1,191 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import axios from 'axios';
+import { v4 as uuidv4 } from 'uuid';
+import { Webhook, WebhookDelivery } from './models.js';
+import { webhookQueue } from './queue.js';
+import { decrypt } from './crypto.js';
+
+export const WEBHOOK_EVENTS = [
+  'email.sent',
+  'email.failed',
+  'email.throttled',
+  'email.suppressed',
+  'email.opened',
+  'email.clicked'
+];
+
+const DELIVERY_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+export const WEBHOOK_SECRET_MIN_LENGTH = 16;
+export const WEBHOOK_SECRET_MAX_LENGTH = 255;
+
+// Webhooks may only reach public hosts: loopback, private, shared, link-local (cloud metadata),
+// unique-local, multicast and reserved ranges are refused. BlockList also matches IPv4-mapped IPv6
+// addresses against the IPv4 ranges.
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+const isBlockedAddress = (address) => {
+  return blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+// Resolve a webhook host. Returns { addresses } or { error } when it doesn't resolve or any of
+// its addresses is internal. Checked at registration and again on every delivery, since DNS can
+// change in between.
+export const resolveWebhookHost = async (hostname) => {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch {
+    return { error: `Could not resolve webhook host ${host}` };
+  }
+
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    return { error: 'Webhook URL must not point at a loopback, private or link-local address' };
+  }
+
+  return { addresses };
+};
+
+// DNS lookup for the delivery request itself, so the address connected to is the one checked
+const lookupPublicHost = async (hostname) => {
+  const { addresses, error } = await resolveWebhookHost(hostname);
+  if (error) {
+    throw new Error(error);
+  }
+  return addresses;
+};
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Receivers verify with HMAC-SHA256 over "<timestamp>.<raw body>"
+export const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+export const isSubscribed = (webhook, event) => {
+  return webhook.events.includes('*') || webhook.events.includes(event);
+};
+
+// Queue an event for every active webhook of the sender subscribed to it
+export const emitEvent = async (senderId, event, data) => {
+  const webhooks = await Webhook.findAll({ where: { senderId, active: true } });
+  const subscribed = webhooks.filter((webhook) => isSubscribed(webhook, event));
+
+  if (subscribed.length === 0) {
+    return 0;
+  }
+
+  const eventId = uuidv4();
+  const payload = {
+    id: eventId,
+    event,
+    createdAt: new Date().toISOString(),
+    data
+  };
+
+  await webhookQueue.addBulk(subscribed.map((webhook) => ({
+    name: event,
+    data: { webhookId: webhook.id, eventId, event, payload },
+    opts: { jobId: `${eventId}-${webhook.id}` }
+  })));
+
+  return subscribed.length;
+};
+
+// Emit without letting webhook problems affect the caller
+export const emitEventSafely = (senderId, event, data) => {
+  return emitEvent(senderId, event, data).catch((error) => {
+    console.error(`⚠️  Could not queue ${event} webhook for sender ${senderId}:`, error.message);
+  });
+};
+
+// POST one signed payload and log the attempt. 2xx responses count as delivered. Only the status
+// code is kept; the receiver's response body is never stored.
+export const deliverWebhook = async (webhook, { eventId, event, payload }, attempt = 1) => {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = signPayload(decrypt(webhook.encryptedSecret), timestamp, body);
+  const startedAt = Date.now();
+
+  let statusCode = null;
+  let error = null;
+
+  try {
+    // IP literals skip the lookup below, so check the host up front as well
+    const target = await resolveWebhookHost(new URL(webhook.url).hostname);
+    if (target.error) {
+      throw new Error(target.error);
+    }
+
+    const response = await axios.post(webhook.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Email-Scheduler-Webhooks/1.0',
+        'X-Webhook-Id': eventId,
+        'X-Webhook-Event': event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signature}`
+      },
+      timeout: DELIVERY_TIMEOUT_MS,
+      maxRedirects: 0,
+      lookup: lookupPublicHost,
+      responseType: 'text',
+      transformResponse: [(data) => data],
+      validateStatus: () => true
+    });
+
+    statusCode = response.status;
+
+    if (statusCode < 200 || statusCode >= 300) {
+      error = `Receiver responded with HTTP ${statusCode}`;
+    }
+  } catch (err) {
+    error = err.message;
+  }
+
+  const delivery = await WebhookDelivery.create({
+    webhookId: webhook.id,
+    eventId,
+    event,
+    payload,
+    attempt,
+    success: !error,
+    statusCode,
+    error,
+    durationMs: Date.now() - startedAt
+  });
+
+  return delivery;
+};
+
+// BullMQ processor for the webhook queue; throwing makes BullMQ retry with backoff
+export const processWebhookJob = async (job) => {
+  const { webhookId } = job.data;
+  const webhook = await Webhook.findByPk(webhookId);
+
+  if (!webhook || !webhook.active) {
+    return { status: 'skipped', webhookId };
+  }
+
+  const delivery = await deliverWebhook(webhook, job.data, job.attemptsMade + 1);
+
+  if (!delivery.success) {
+    throw new Error(`Webhook ${webhookId} delivery failed: ${delivery.error}`);
+  }
+
+  return { status: 'delivered', webhookId, statusCode: delivery.statusCode };
+};
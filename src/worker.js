@@ -1,116 +1,180 @@
 import 'dotenv/config';
-import { Worker } from 'bullmq';
+import { Worker, UnrecoverableError, DelayedError } from 'bullmq';
 import Redis from 'ioredis';
-import nodemailer from 'nodemailer';
-import { EmailLog } from './models.js';
-import { emailQueue } from './queue.js';
+import { EmailLog, TemplateVersion, SendingAccount, DeliveryAttempt, User, Workspace } from './models.js';
+import { renderTemplate } from './templates.js';
+import { textToHtml } from './content.js';
+import { advanceRecurringSchedule } from './recurrence.js';
+import { getAccountTransporter, formatFrom, closeAccountTransporters } from './mailer.js';
+import { getTransport, closeTransport, OUTBOX_DIR } from './transports.js';
+import { emitEventSafely, processWebhookJob } from './webhooks.js';
+import { instrumentHtml } from './tracking.js';
+import { groupRecipientRows } from './recipients.js';
+import { classifyFailure } from './retryPolicy.js';
+import { resolveSendCaps } from './users.js';
+import { buildSendLimits, acquireSendSlot, releaseSendSlot, reserveSendTime, releaseSendTime } from './rateLimit.js';
+import { DEFAULT_TIMEZONE, formatInZone, nextSendWindowStart } from './timezones.js';
+import {
+  normalizeEmail,
+  findSuppressions,
+  suppress,
+  isHardBounce,
+  buildUnsubscribeUrl,
+  addUnsubscribeLink
+} from './suppressions.js';
 
 const MIN_DELAY_BETWEEN_EMAILS = 2;
 
+// Pacing happens in Redis, so concurrency only bounds parallel SMTP sends.
+// A global BullMQ limiter is optional (EMAIL_WORKER_LIMIT_MAX per EMAIL_WORKER_LIMIT_DURATION ms).
+const WORKER_CONCURRENCY = parseInt(process.env.EMAIL_WORKER_CONCURRENCY) || 10;
+const WORKER_LIMITER = parseInt(process.env.EMAIL_WORKER_LIMIT_MAX) > 0
+  ? {
+      max: parseInt(process.env.EMAIL_WORKER_LIMIT_MAX),
+      duration: parseInt(process.env.EMAIL_WORKER_LIMIT_DURATION) || 1000
+    }
+  : undefined;
+
 // Connect to Redis - same as queue.js
 const connection = new Redis(process.env.REDIS_URL || 'redis://localhost:6379', {
   maxRetriesPerRequest: null,
   enableReadyCheck: false
 });
 
-// Create transporter for sending emails
-let transporter;
+// Default transport for emails without a sending account; fails fast on bad configuration
+const transport = getTransport();
 
-const createTransporter = async () => {
-  if (transporter) return transporter;
+// Build the subject/text/html to send, rendering the pinned template version if any
+const buildContent = async (emailLog) => {
+  if (!emailLog.templateId) {
+    return {
+      subject: emailLog.subject,
+      text: emailLog.body,
+      html: emailLog.html || textToHtml(emailLog.body)
+    };
+  }
 
-  // If EMAIL_USER and EMAIL_PASS are not set, create a test account
-  if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS || 
-      process.env.EMAIL_USER === 'your-ethereal-user' ||
-      process.env.EMAIL_USER === 'your-email@gmail.com') {
-    console.log('📧 Creating Ethereal test email account...');
-    const testAccount = await nodemailer.createTestAccount();
-    
-    console.log('✅ Ethereal test account created:');
-    console.log(`   User: ${testAccount.user}`);
-    console.log(`   Pass: ${testAccount.pass}`);
-    console.log('   💡 Add these to your .env file:\n');
-    console.log(`   EMAIL_USER=${testAccount.user}`);
-    console.log(`   EMAIL_PASS=${testAccount.pass}\n`);
-    
-    transporter = nodemailer.createTransport({
-      host: 'smtp.ethereal.email',
-      port: 587,
-      secure: false,
-      auth: {
-        user: testAccount.user,
-        pass: testAccount.pass
-      }
-    });
-  } else {
-    // Use provided credentials
-    transporter = nodemailer.createTransport({
-      host: process.env.EMAIL_HOST || 'smtp.ethereal.email',
-      port: parseInt(process.env.EMAIL_PORT) || 587,
-      secure: false,
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
-      }
-    });
+  const version = await TemplateVersion.findOne({
+    where: { templateId: emailLog.templateId, version: emailLog.templateVersion }
+  });
+
+  if (!version) {
+    throw new UnrecoverableError(`Template ${emailLog.templateId} version ${emailLog.templateVersion} not found`);
   }
 
-  return transporter;
+  return renderTemplate(version, emailLog.variables || {});
 };
 
-// Initialize transporter
-await createTransporter();
+// Attachments in nodemailer's format, streamed from disk
+const buildAttachments = async (emailLog) => {
+  const attachments = await emailLog.getAttachments();
+  return attachments.map((attachment) => ({
+    filename: attachment.filename,
+    path: attachment.storagePath,
+    contentType: attachment.mimeType
+  }));
+};
 
-// Check rate limit with user-defined hourly limit
-const checkRateLimit = async (senderId, hourlyLimit) => {
-  const now = new Date();
-  const currentHour = `${now.getFullYear()}-${now.getMonth() + 1}-${now.getDate()}-${now.getHours()}`;
-  const rateLimitKey = `rate-limit:${senderId}:${currentHour}`;
-  
-  const currentCount = await connection.get(rateLimitKey);
-  const count = currentCount ? parseInt(currentCount) : 0;
-  
-  return {
-    allowed: count < hourlyLimit,
-    currentCount: count,
-    limit: hourlyLimit,
-    rateLimitKey,
-    currentHour
-  };
+// to/cc/bcc/replyTo in nodemailer's address format
+const buildParticipants = async (emailLog) => {
+  const rows = await emailLog.getRecipients();
+  const participants = groupRecipientRows(rows, emailLog.recipient);
+
+  return Object.fromEntries(Object.entries(participants).map(([field, addresses]) => [
+    field,
+    addresses.map(({ name, address }) => ({ name: name || '', address }))
+  ]));
 };
 
-// Increment rate limit counter
-const incrementRateLimit = async (rateLimitKey) => {
-  const count = await connection.incr(rateLimitKey);
-  if (count === 1) {
-    await connection.expire(rateLimitKey, 3600);
+// Put permanently rejected addresses on the sender's suppression list
+const recordHardBounces = async (senderId, addresses, response) => {
+  for (const address of addresses) {
+    await suppress(senderId, address, 'BOUNCED', 'smtp-bounce', response);
+    console.log(`🚫 ${address} hard-bounced and was suppressed`);
   }
-  return count;
 };
 
-// Calculate delay to next hour
-const getDelayToNextHour = () => {
-  const now = new Date();
-  const nextHour = new Date(now);
-  nextHour.setHours(now.getHours() + 1);
-  nextHour.setMinutes(0);
-  nextHour.setSeconds(0);
-  nextHour.setMilliseconds(0);
-  return nextHour.getTime() - now.getTime();
+// Open a DeliveryAttempt row; attempts are numbered per email, across throttle re-queues
+const startAttempt = async (job, emailLog) => {
+  const attempt = emailLog.attemptCount + 1;
+  await emailLog.update({ attemptCount: attempt });
+
+  return DeliveryAttempt.create({
+    emailLogId: emailLog.id,
+    attempt,
+    jobId: job.id,
+    jobAttempt: job.attemptsMade + 1,
+    startedAt: new Date()
+  });
+};
+
+// SMTP details of a nodemailer result or error ("250 2.0.0 OK ..." / responseCode)
+const smtpDetails = ({ responseCode, response }) => ({
+  responseCode: responseCode || (typeof response === 'string' && parseInt(response)) || null,
+  response: typeof response === 'string' ? response : null
+});
+
+// When BullMQ will run a failed job again, or null once its attempts are used up
+const getRetryTime = (job) => {
+  const maxAttempts = job.opts.attempts || 1;
+  const jobAttempt = job.attemptsMade + 1;
+  if (jobAttempt >= maxAttempts) {
+    return null;
+  }
+
+  const { type, delay = 0 } = job.opts.backoff || {};
+  const backoff = type === 'exponential' ? Math.pow(2, jobAttempt - 1) * delay : delay;
+  return new Date(Date.now() + backoff);
+};
+
+// Sending account of an email; a deleted account fails the job rather than silently using the default
+const loadSendingAccount = async (emailLog) => {
+  if (!emailLog.sendingAccountId) {
+    return null;
+  }
+
+  const account = await SendingAccount.findByPk(emailLog.sendingAccountId);
+  if (!account) {
+    throw new UnrecoverableError(`Sending account ${emailLog.sendingAccountId} not found`);
+  }
+  return account;
+};
+
+// Sliding-window limits for an email, capped by the sender's plan quotas (see resolveSendCaps).
+// Workspace emails share one set of windows across all members.
+const resolveSendLimits = async (emailLog, { hourlyLimit, addresses }) => {
+  const user = await User.findByPk(emailLog.senderId);
+  const workspace = emailLog.workspaceId ? await Workspace.findByPk(emailLog.workspaceId) : null;
+  const subject = workspace ? `workspace:${workspace.id}` : emailLog.senderId;
+
+  return buildSendLimits(subject, { ...resolveSendCaps(user, workspace, hourlyLimit), addresses });
 };
 
 // Send email function
-const sendEmail = async (recipient, subject, body) => {
-  const info = await transporter.sendMail({
-    from: process.env.SMTP_FROM || '"Email Scheduler" <scheduler@example.com>',
-    to: recipient,
-    subject: subject,
-    text: body,
-    html: `<p>${body}</p>`
-  });
+// Uses the sending account chosen at schedule time, or the configured transport without one.
+// Capturing transports (outbox, memory) take every email, so nothing is sent for real.
+// The email's own reply-to addresses take precedence over the account's.
+const sendEmail = async ({ to, cc, bcc, replyTo }, { subject, text, html, headers = {}, attachments = [] }, account = null, meta = {}) => {
+  const mail = {
+    from: account
+      ? formatFrom(account)
+      : process.env.SMTP_FROM || '"Email Scheduler" <scheduler@example.com>',
+    replyTo: replyTo.length > 0 ? replyTo : (account ? account.replyTo || undefined : undefined),
+    to,
+    cc,
+    bcc,
+    subject,
+    text,
+    html,
+    headers,
+    attachments
+  };
+
+  const info = account && !transport.captures
+    ? await getAccountTransporter(account).sendMail(mail)
+    : await transport.send(mail, meta);
   
   console.log('📧 Message sent: %s', info.messageId);
-  console.log('🔗 Preview URL: %s', nodemailer.getTestMessageUrl(info));
   
   return info;
 };
@@ -118,13 +182,10 @@ const sendEmail = async (recipient, subject, body) => {
 // Create BullMQ Worker
 const worker = new Worker(
   'email-queue',
-  async (job) => {
+  async (job, token) => {
     // Get user-defined settings from job data
     const { 
       emailLogId, 
-      recipient, 
-      subject, 
-      body, 
       senderId,
       delayBetweenEmails = MIN_DELAY_BETWEEN_EMAILS,
       hourlyLimit = 10 // Default to 10 if not provided
@@ -135,133 +196,372 @@ const worker = new Worker(
     
     console.log(`\n📧 Processing job ${job.id} for email log ${emailLogId}`);
     console.log(`⚙️  User Settings: delay=${actualDelay}s, hourlyLimit=${hourlyLimit}/hour`);
+
+    let attempt = null;
+    let reservation = null;
+    // The sender's pacing slot is given back unless the email went out or the job waits for it
+    let pacing = null;
+    let keepPacing = false;
     
     try {
+      // A job woken up for the pacing slot it was given holds that slot
+      if (job.data.pacing) {
+        const { pacing: held, ...data } = job.data;
+        pacing = { senderId, ...held };
+        await job.updateData(data);
+      }
+
+
       // Check idempotency
       const emailLog = await EmailLog.findByPk(emailLogId);
       
       if (!emailLog) {
-        throw new Error(`EmailLog with id ${emailLogId} not found`);
+        throw new UnrecoverableError(`EmailLog with id ${emailLogId} not found`);
       }
       
       if (emailLog.status === 'SENT') {
         console.log(`✓ Email ${emailLogId} already sent. Skipping.`);
         return { status: 'already_sent', emailLogId };
       }
+
+      if (emailLog.status === 'CANCELLED') {
+        console.log(`✓ Email ${emailLogId} was cancelled. Skipping.`);
+        return { status: 'cancelled', emailLogId };
+      }
+
+      // A due occurrence of a recurring schedule queues the next one
+      if (emailLog.recurringScheduleId) {
+        try {
+          await advanceRecurringSchedule(emailLog);
+        } catch (scheduleError) {
+          console.error(`Error scheduling next occurrence for ${emailLog.recurringScheduleId}:`, scheduleError);
+        }
+      }
+
+      // Outside the recipient's send window (retries and throttling can land there): wait for it to open
+      if (emailLog.sendWindow) {
+        const windowTimezone = emailLog.recipientTimezone || emailLog.timezone || DEFAULT_TIMEZONE;
+        const now = new Date();
+        const opensAt = nextSendWindowStart(emailLog.sendWindow, windowTimezone, now);
+        if (opensAt > now) {
+          console.log(`🕘 Email ${emailLogId} outside its send window, deferred to ${formatInZone(opensAt, windowTimezone)}`);
+          await job.moveToDelayed(opensAt.getTime(), token);
+          throw new DelayedError();
+        }
+      }
+
+      // Space out the sender's emails: an early job gets the next free slot and goes back to
+      // the delayed set until then, instead of holding a concurrency slot while it waits
+      if (!pacing) {
+        pacing = await reserveSendTime(connection, senderId, actualDelay * 1000);
+        if (pacing.wait > 0) {
+          const runAt = Date.now() + pacing.wait;
+          console.log(`⏳ Email ${emailLogId} paced until ${new Date(runAt).toISOString()}`);
+          keepPacing = true;
+          await job.updateData({ ...job.data, pacing: { slot: pacing.slot, intervalMs: pacing.intervalMs } });
+          await job.moveToDelayed(runAt, token);
+          throw new DelayedError();
+        }
+      }
+
+      attempt = await startAttempt(job, emailLog);
+
+      // Render and send email (the row is the source of truth, it may have been edited since queuing)
+      const { recipient } = emailLog;
+      const participants = await buildParticipants(emailLog);
+
+      // Never mail an address that unsubscribed or bounced
+      const allAddresses = [...participants.to, ...participants.cc, ...participants.bcc];
+      const suppressions = await findSuppressions(senderId, allAddresses.map(({ address }) => address));
+      const isDeliverable = ({ address }) => !suppressions.has(normalizeEmail(address));
+      const envelope = {
+        to: participants.to.filter(isDeliverable),
+        cc: participants.cc.filter(isDeliverable),
+        bcc: participants.bcc.filter(isDeliverable),
+        replyTo: participants.replyTo
+      };
+      const deliverable = [...envelope.to, ...envelope.cc, ...envelope.bcc];
+
+      if (deliverable.length === 0) {
+        const [suppression] = suppressions.values();
+        await emailLog.update({ status: 'SUPPRESSED' });
+        await attempt.update({
+          outcome: 'SUPPRESSED',
+          finishedAt: new Date(),
+          error: `All recipients are suppressed (${suppression.reason})`
+        });
+        console.log(`🚫 Email ${emailLogId} not sent: all recipients are suppressed (${suppression.reason})`);
+
+        emitEventSafely(senderId, 'email.suppressed', {
+          emailLogId,
+          recipient,
+          status: 'SUPPRESSED',
+          reason: suppression.reason
+        });
+
+        return { status: 'suppressed', emailLogId, recipient };
+      }
+
+      if (deliverable.length < allAddresses.length) {
+        console.log(`🚫 Email ${emailLogId}: skipping ${allAddresses.length - deliverable.length} suppressed recipient(s)`);
+      }
+
+      // Reserve a slot in every sliding window (sender minute/hour/day, recipient domains).
+      // The reservation is atomic, so concurrent workers can't overshoot a limit.
+      const rateLimit = await acquireSendSlot(connection, await resolveSendLimits(emailLog, {
+        hourlyLimit,
+        addresses: deliverable.map(({ address }) => address)
+      }));
       
-      // Check rate limit using user-defined hourly limit
-      const rateLimit = await checkRateLimit(senderId, hourlyLimit);
-      
+      // Waiting wouldn't help an email with more same-domain recipients than the domain's cap
+      if (!rateLimit.allowed && !rateLimit.retryAt) {
+        const { scope, window, limit, cost } = rateLimit.blockedBy;
+        throw new UnrecoverableError(`Email has ${cost} recipients counted against the ${scope} limit of ${limit} per ${window}; split it into smaller emails`);
+      }
+
       if (!rateLimit.allowed) {
-        console.log(`⏸️  Rate limit exceeded for sender ${senderId}`);
-        console.log(`   Current: ${rateLimit.currentCount}/${rateLimit.limit} emails this hour`);
-        
+        const { scope, window, limit } = rateLimit.blockedBy;
+        const delay = Math.max(rateLimit.retryAt.getTime() - Date.now(), 0);
+        console.log(`⏸️  Rate limit exceeded for sender ${senderId}: ${limit}/${window} (${scope})`);
+
         await emailLog.update({ status: 'THROTTLED' });
+        await emailLog.increment('deferCount');
+        await attempt.update({
+          outcome: 'THROTTLED',
+          finishedAt: new Date(),
+          error: `Limit of ${limit} per ${window} reached (${scope})`,
+          nextAttemptAt: rateLimit.retryAt
+        });
+
+        emitEventSafely(senderId, 'email.throttled', {
+          emailLogId,
+          recipient: emailLog.recipient,
+          status: 'THROTTLED',
+          limit: { scope, window, limit },
+          retryAt: rateLimit.retryAt.toISOString()
+        });
         
-        const delay = getDelayToNextHour();
-        
-        // Reschedule with same settings
-        await emailQueue.add(
-          'send-email',
-          {
-            ...job.data,
-            delayBetweenEmails: actualDelay,
-            hourlyLimit
-          },
-          { 
-            delay,
-            jobId: `${emailLogId}-retry-${Date.now()}`
-          }
-        );
+        // Defer the same job to the moment the blocking window has room again, so the
+        // email keeps its job ID and cancel/reschedule still reach it
+        await job.moveToDelayed(rateLimit.retryAt.getTime(), token);
         
-        const delayMinutes = Math.round(delay / 1000 / 60);
-        console.log(`⏭️  Email ${emailLogId} rescheduled to next hour (~${delayMinutes} min)`);
+        console.log(`⏭️  Email ${emailLogId} deferred for ${Math.ceil(delay / 1000)}s`);
         
-        return { 
-          status: 'throttled', 
-          emailLogId, 
-          rescheduledDelay: delay 
-        };
+        throw new DelayedError();
+      }
+      reservation = rateLimit.reservation;
+
+      // An unsubscribe link names one address, and every recipient of a message sees the same
+      // link and headers, so only single-recipient messages get one
+      const unsubscribeUrl = deliverable.length === 1
+        ? buildUnsubscribeUrl(senderId, deliverable[0].address)
+        : null;
+      let content = await buildContent(emailLog);
+      if (unsubscribeUrl) {
+        content = addUnsubscribeLink(content, unsubscribeUrl);
+      }
+      if (emailLog.trackingEnabled) {
+        content.html = instrumentHtml(content.html, emailLog.id, { skipUrls: [unsubscribeUrl].filter(Boolean) });
+      }
+      const attachments = await buildAttachments(emailLog);
+      const account = await loadSendingAccount(emailLog);
+      const info = await sendEmail(envelope, { ...content, attachments }, account, { senderId, emailLogId });
+      const sentAt = new Date();
+      reservation = null;
+      keepPacing = true;
+
+      await attempt.update({
+        outcome: 'SENT',
+        finishedAt: sentAt,
+        messageId: info.messageId,
+        ...smtpDetails(info)
+      });
+
+      // Some recipients may be rejected while the rest are accepted. The email already went out,
+      // so a problem recording them must not fail the job and send it again.
+      const bounced = (info.rejectedErrors || []).filter(isHardBounce);
+      if (bounced.length > 0) {
+        try {
+          await recordHardBounces(senderId, bounced.map((err) => err.recipient), bounced[0].response);
+        } catch (suppressError) {
+          console.error('Error recording bounce:', suppressError);
+        }
       }
-      
-      // Send email
-      await sendEmail(recipient, subject, body);
-      
-      // ⭐ APPLY USER-DEFINED DELAY (minimum 2 seconds)
-      const delayMs = actualDelay * 1000;
-      console.log(`⏳ Applying ${actualDelay}s delay before next email can process...`);
-      await new Promise(resolve => setTimeout(resolve, delayMs));
-      
-      // Increment rate limit counter
-      const newCount = await incrementRateLimit(rateLimit.rateLimitKey);
-      console.log(`📊 Rate limit: ${newCount}/${rateLimit.limit} emails sent this hour`);
       
       // Update EmailLog status to SENT
-      await emailLog.update({ status: 'SENT' });
+      await emailLog.update({
+        status: 'SENT',
+        sentAt,
+        messageId: info.messageId,
+        lastError: null
+      });
       
-      console.log(`✅ Email ${emailLogId} sent successfully to ${recipient}`);
+      console.log(`✅ Email ${emailLogId} sent successfully to ${deliverable.map(({ address }) => address).join(', ')}`);
       
       return { 
         status: 'sent', 
         emailLogId,
-        recipient 
+        recipient,
+        recipients: deliverable.map(({ address }) => address)
       };
       
     } catch (error) {
+      // Paced, windowed and throttled jobs were moved back to the delayed set; that's not a failure
+      if (error instanceof DelayedError) {
+        throw error;
+      }
+
       console.error(`❌ Error processing job ${job.id}:`, error.message);
+
+      // The email didn't go out, so it shouldn't count against the limits
+      if (reservation) {
+        await releaseSendSlot(connection, reservation).catch((releaseError) => {
+          console.error('Error releasing rate limit reservation:', releaseError);
+        });
+      }
+
+      // Hard bounces go on the suppression list so retries and future emails skip the address
+      if (isHardBounce(error)) {
+        try {
+          const emailLog = await EmailLog.findByPk(emailLogId, { attributes: ['recipient'] });
+          const addresses = Array.isArray(error.rejected) && error.rejected.length > 0
+            ? error.rejected
+            : [emailLog && emailLog.recipient].filter(Boolean);
+          await recordHardBounces(senderId, addresses, error.response || error.message);
+        } catch (suppressError) {
+          console.error('Error recording bounce:', suppressError);
+        }
+      }
       
+      // Only the last attempt decides the final status; earlier failures keep the email pending.
+      // Permanent failures (5xx by default, see retryPolicy.js) are not retried.
+      const failureType = classifyFailure(error);
+      const retryAt = failureType === 'PERMANENT' ? null : getRetryTime(job);
+
       try {
+        if (attempt) {
+          await attempt.update({
+            outcome: retryAt ? 'RETRYING' : 'FAILED',
+            finishedAt: new Date(),
+            error: error.message,
+            failureType,
+            nextAttemptAt: retryAt,
+            ...smtpDetails(error)
+          });
+        }
+
         await EmailLog.update(
-          { status: 'FAILED' },
+          retryAt ? { lastError: error.message } : { status: 'FAILED', lastError: error.message },
           { where: { id: emailLogId } }
         );
       } catch (updateError) {
-        console.error('Error updating EmailLog status to FAILED:', updateError);
+        console.error('Error recording failed attempt:', updateError);
+      }
+
+      if (retryAt) {
+        console.log(`🔁 Email ${emailLogId} will be retried at ${retryAt.toISOString()}`);
+      }
+
+      // Skip BullMQ's remaining attempts so the job goes straight to the failed set
+      if (failureType === 'PERMANENT' && !(error instanceof UnrecoverableError)) {
+        throw new UnrecoverableError(error.message);
       }
       
       throw error;
+    } finally {
+      if (pacing && !keepPacing) {
+        await releaseSendTime(connection, pacing).catch((releaseError) => {
+          console.error('Error releasing pacing slot:', releaseError);
+        });
+      }
     }
   },
   {
     connection, // Use the Redis connection
-    concurrency: 3,
-    limiter: {
-      max: 5,
-      duration: 10000
-    }
+    concurrency: WORKER_CONCURRENCY,
+    limiter: WORKER_LIMITER
   }
 );
 
 // Worker event listeners
 worker.on('completed', (job, result) => {
   console.log(`✓ Job ${job.id} completed:`, result.status);
+
+  if (result.status === 'sent') {
+    emitEventSafely(job.data.senderId, 'email.sent', {
+      emailLogId: result.emailLogId,
+      recipient: result.recipient,
+      recipients: result.recipients,
+      status: 'SENT',
+      campaignId: job.data.campaignId || null,
+      sentAt: new Date(job.finishedOn || Date.now()).toISOString()
+    });
+  }
 });
 
 worker.on('failed', (job, err) => {
   console.error(`✗ Job ${job?.id} failed:`, err.message);
+
+  // Only report once BullMQ has given up retrying
+  if (job && (err instanceof UnrecoverableError || job.attemptsMade >= (job.opts.attempts || 1))) {
+    emitEventSafely(job.data.senderId, 'email.failed', {
+      emailLogId: job.data.emailLogId,
+      recipient: job.data.recipient,
+      status: 'FAILED',
+      error: err.message,
+      attempts: job.attemptsMade
+    });
+  }
 });
 
 worker.on('error', (err) => {
   console.error('⚠️  Worker error:', err);
 });
 
+// Webhook delivery worker (separate queue, retried with backoff)
+const webhookWorker = new Worker('webhook-queue', processWebhookJob, {
+  connection,
+  concurrency: 5
+});
+
+webhookWorker.on('failed', (job, err) => {
+  console.error(`✗ Webhook job ${job?.id} failed (attempt ${job?.attemptsMade}):`, err.message);
+});
+
+webhookWorker.on('error', (err) => {
+  console.error('⚠️  Webhook worker error:', err);
+});
+
 console.log('\n📬 Email Queue Worker Started');
-console.log('⚙️  Concurrency: 3 workers');
-console.log('⚙️  Minimum delay between emails: 2 seconds');
-console.log('⚙️  User-defined delays enabled\n');
+console.log(`⚙️  Concurrency: ${WORKER_CONCURRENCY} workers`);
+console.log(`⚙️  Transport: ${transport.name}${transport.name === 'outbox' ? ` (${OUTBOX_DIR})` : ''}`);
+if (transport.name === 'memory') {
+  console.log('⚠️  Memory captures are only visible to this process; use EMAIL_TRANSPORT=outbox to inspect them through the API');
+}
+console.log(`⚙️  Global limiter: ${WORKER_LIMITER ? `${WORKER_LIMITER.max} per ${WORKER_LIMITER.duration}ms` : 'off'}`);
+console.log(`⚙️  Minimum delay between a sender's emails: ${MIN_DELAY_BETWEEN_EMAILS} seconds`);
+console.log('⚙️  User-defined delays enabled (paced in Redis)\n');
+
+// Stop both workers and release their connections, on shutdown or when a test that ran the
+// worker in its own process is done
+export const closeWorkers = async () => {
+  await worker.close();
+  await webhookWorker.close();
+  closeAccountTransporters();
+  closeTransport();
+  await connection.quit();
+};
 
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('\n🛑 SIGTERM received, closing worker...');
-  await worker.close();
-  await connection.quit();
+  await closeWorkers();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('\n🛑 SIGINT received, closing worker...');
-  await worker.close();
-  await connection.quit();
+  await closeWorkers();
   process.exit(0);
 });
 
@@ -0,0 +1,101 @@
+import { Workspace, WorkspaceMember } from './models.js';
+
+// Highest first. Each role can do everything the roles below it can:
+// VIEWER reads, EDITOR schedules and manages their own emails, ADMIN manages every email,
+// members and shared sending accounts, OWNER also edits workspace settings and admins.
+export const WORKSPACE_ROLES = ['OWNER', 'ADMIN', 'EDITOR', 'VIEWER'];
+
+export const hasRole = (role, minimumRole) => {
+  return WORKSPACE_ROLES.indexOf(role) <= WORKSPACE_ROLES.indexOf(minimumRole);
+};
+
+// The caller's active membership of a workspace, checked against a minimum role.
+// Returns { workspace, member } or { status, error }.
+export const findMembership = async (workspaceId, userId, minimumRole = 'VIEWER') => {
+  const member = await WorkspaceMember.findOne({
+    where: { workspaceId, userId, status: 'ACTIVE' },
+    include: [{ model: Workspace, as: 'workspace' }]
+  });
+
+  if (!member) {
+    return { status: 404, error: 'Workspace not found' };
+  }
+
+  if (!hasRole(member.role, minimumRole)) {
+    return { status: 403, error: `This requires the ${minimumRole} role in the workspace` };
+  }
+
+  return { workspace: member.workspace, member };
+};
+
+// Middleware selecting the active workspace from the X-Workspace-Id header (or ?workspaceId=).
+// Sets req.workspace and req.workspaceRole; without one the request works on personal data
+// and both are null.
+export const workspaceAccess = (minimumRole = 'VIEWER') => async (req, res, next) => {
+  const workspaceId = req.headers['x-workspace-id'] || req.query.workspaceId;
+
+  if (!workspaceId) {
+    req.workspace = null;
+    req.workspaceRole = null;
+    return next();
+  }
+
+  let membership;
+  try {
+    membership = await findMembership(String(workspaceId), req.user.userId, minimumRole);
+  } catch (error) {
+    console.error('Error checking workspace membership:', error);
+    return res.status(500).json({ success: false, error: 'Failed to check workspace membership' });
+  }
+
+  if (membership.error) {
+    return res.status(membership.status).json({ success: false, error: membership.error });
+  }
+
+  req.workspace = membership.workspace;
+  req.workspaceRole = membership.member.role;
+  next();
+};
+
+// WHERE conditions for the rows a request can see: the active workspace's, or the caller's
+// personal ones
+export const ownerScope = (req) => {
+  return req.workspace
+    ? { workspaceId: req.workspace.id }
+    : { senderId: req.user.userId, workspaceId: null };
+};
+
+// WHERE conditions for the rows a request may change in bulk: ownerScope, narrowed to the
+// caller's own rows for workspace editors (see canModify)
+export const modifiableScope = (req) => {
+  return req.workspace && !hasRole(req.workspaceRole, 'ADMIN')
+    ? { ...ownerScope(req), senderId: req.user.userId }
+    : ownerScope(req);
+};
+
+// Editors only change what they created; admins and owners change anything in the workspace
+export const canModify = (req, record) => {
+  return !req.workspace || record.senderId === req.user.userId || hasRole(req.workspaceRole, 'ADMIN');
+};
+
+export const serializeWorkspace = (workspace, role = null) => ({
+  id: workspace.id,
+  name: workspace.name,
+  ownerId: workspace.ownerId,
+  hourlyLimit: workspace.hourlyLimit,
+  dailyLimit: workspace.dailyLimit,
+  ...(role && { role }),
+  createdAt: workspace.createdAt,
+  updatedAt: workspace.updatedAt
+});
+
+export const serializeMember = (member) => ({
+  id: member.id,
+  userId: member.userId,
+  email: member.email,
+  role: member.role,
+  status: member.status,
+  invitedBy: member.invitedBy,
+  joinedAt: member.joinedAt,
+  createdAt: member.createdAt
+});
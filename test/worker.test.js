@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Redis from 'ioredis';
+import mysql from 'mysql2/promise';
+import { v4 as uuidv4 } from 'uuid';
+
+// Runs a scheduled email through the worker with the memory transport and checks the message it
+// captured. Needs Redis and MySQL (TEST_REDIS_URL, TEST_DB_NAME and the usual DB_* settings);
+// skipped when either can't be reached.
+process.env.EMAIL_TRANSPORT = 'memory';
+process.env.REDIS_URL = process.env.TEST_REDIS_URL || 'redis://localhost:6379/15';
+process.env.DB_NAME = process.env.TEST_DB_NAME || 'email_scheduler_test';
+
+const SEND_TIMEOUT = 15000;
+
+// Why the services can't be used, or null when both answer
+const checkServices = async () => {
+  const redis = new Redis(process.env.REDIS_URL, { lazyConnect: true, connectTimeout: 2000, retryStrategy: () => null });
+  redis.on('error', () => {});
+  try {
+    await redis.connect();
+    await redis.ping();
+  } catch (error) {
+    return `Redis not reachable at ${process.env.REDIS_URL}: ${error.message}`;
+  } finally {
+    redis.disconnect();
+  }
+
+  try {
+    const db = await mysql.createConnection({
+      host: process.env.DB_HOST || 'localhost',
+      port: process.env.DB_PORT || 3306,
+      user: process.env.DB_USER || 'root',
+      password: process.env.DB_PASSWORD || '',
+      database: process.env.DB_NAME,
+      connectTimeout: 2000
+    });
+    await db.end();
+  } catch (error) {
+    return `MySQL database ${process.env.DB_NAME} not reachable: ${error.message}`;
+  }
+
+  return null;
+};
+
+const waitForStatus = async (emailLog, statuses) => {
+  const deadline = Date.now() + SEND_TIMEOUT;
+  while (Date.now() < deadline) {
+    await emailLog.reload();
+    if (statuses.includes(emailLog.status)) {
+      return emailLog.status;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+  return emailLog.status;
+};
+
+const unavailable = await checkServices();
+
+test('the worker sends a scheduled email through the memory transport', { skip: unavailable || false }, async () => {
+  // Imported only now: these connect to Redis and MySQL as they load
+  const { sequelize, syncDatabase, User, EmailLog } = await import('../src/models.js');
+  const { connection, emailQueue, webhookQueue } = await import('../src/queue.js');
+  const { queueEmailJob, dispatchOutbox } = await import('../src/queueOutbox.js');
+  const { closeWorkers } = await import('../src/worker.js');
+  const { listCapturedMessages, getCapturedMessage } = await import('../src/transports.js');
+
+  const senderId = `test-${uuidv4()}`;
+  try {
+    await syncDatabase();
+    await User.create({ id: senderId, email: `${senderId}@example.com`, name: 'Worker Test' });
+
+    const emailLog = await sequelize.transaction(async (transaction) => {
+      const created = await EmailLog.create({
+        recipient: 'recipient@example.com',
+        subject: 'Scheduled through the worker',
+        body: 'Hello from the worker test',
+        senderId,
+        scheduledAt: new Date()
+      }, { transaction });
+      await queueEmailJob(created, transaction);
+      return created;
+    });
+    await dispatchOutbox();
+
+    assert.equal(await waitForStatus(emailLog, ['SENT', 'FAILED']), 'SENT', emailLog.lastError || undefined);
+
+    const captured = await listCapturedMessages(senderId);
+    assert.equal(captured.length, 1);
+    assert.equal(captured[0].subject, 'Scheduled through the worker');
+    assert.equal(captured[0].emailLogId, emailLog.id);
+    assert.deepEqual(captured[0].envelope.to, ['recipient@example.com']);
+
+    const message = await getCapturedMessage(senderId, captured[0].id);
+    assert.match(message.raw, /Hello from the worker test/);
+  } finally {
+    await EmailLog.destroy({ where: { senderId } }).catch(() => {});
+    await User.destroy({ where: { id: senderId } }).catch(() => {});
+    await closeWorkers();
+    await Promise.all([emailQueue.close(), webhookQueue.close()]);
+    await connection.quit();
+    await sequelize.close();
+  }
+});